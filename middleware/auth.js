@@ -1,13 +1,97 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { verifyAccessToken } = require('../utils/tokens');
+const { isApiKey, resolveApiKey } = require('../services/apiKeys');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
+// Only write lastUsedAt back to the session once per minute
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
 
-const authenticateToken = async (req, res, next) => {
+// Get the bearer token from the Authorization header
+const getBearerToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+};
+
+// Get an API key from the X-API-Key header, or from the Authorization header
+// when the bearer value is a key rather than a session token
+const getApiKey = (req) => {
+  const headerKey = req.headers['x-api-key'];
+  if (headerKey) {
+    return headerKey;
+  }
+  const token = getBearerToken(req);
+  return isApiKey(token) ? token : null;
+};
+
+// Resolve the user and session behind an access token.
+// Returns { user, session, expiresAt }, or { error } with the reason the token was rejected.
+// Throws the jsonwebtoken errors for malformed or expired tokens.
+const resolveAccessToken = async (token) => {
+  const decoded = verifyAccessToken(token);
+
+  // Tokens issued before sessions existed are not bound to one and cannot be revoked
+  if (!decoded.sessionId) {
+    return { error: 'Session expired - please log in again' };
+  }
+
+  const [user, session] = await Promise.all([
+    User.findById(decoded.userId).select('-password'),
+    Session.findById(decoded.sessionId)
+  ]);
+
+  if (!user) {
+    return { error: 'Invalid token - user not found' };
+  }
+
+  if (!session || !session.isActive() || !session.user.equals(user._id)) {
+    return { error: 'Session has been revoked - please log in again' };
+  }
+
+  if (Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } });
+  }
+
+  return { user, session, expiresAt: decoded.exp ? new Date(decoded.exp * 1000) : null };
+};
+
+// Record how a middleware authenticates, for the OpenAPI generator (services/openapi.js)
+const describeAuthentication = (middleware, authentication) => Object.assign(middleware, { authentication });
+
+// Authenticate a request by session token or, when scope is given, by an API
+// key holding that scope. Without a scope the route is for signed-in users only,
+// so keys cannot reach account settings or anything else they were not made for.
+const authenticate = (scope) => describeAuthentication(async (req, res, next) => {
   try {
-    // Get token from header
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    const key = getApiKey(req);
+    if (key) {
+      if (!scope) {
+        return res.status(403).json({
+          success: false,
+          message: 'API keys cannot be used for this endpoint'
+        });
+      }
+
+      const { user, apiKey, error } = await resolveApiKey(key, req.ip);
+      if (error) {
+        return res.status(401).json({
+          success: false,
+          message: error
+        });
+      }
+
+      if (!apiKey.scopes.includes(scope)) {
+        return res.status(403).json({
+          success: false,
+          message: `This API key does not have the "${scope}" scope`
+        });
+      }
+
+      req.user = user;
+      req.apiKey = apiKey;
+      return next();
+    }
+
+    const token = getBearerToken(req);
 
     if (!token) {
       return res.status(401).json({
@@ -16,21 +100,18 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    // Get user from token
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
+    const { user, session, expiresAt, error } = await resolveAccessToken(token);
+    if (error) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid token - user not found'
+        message: error
       });
     }
 
-    // Add user to request object
+    // Add user and session to request object
     req.user = user;
+    req.authSession = session;
+    req.authExpiresAt = expiresAt;
     next();
 
   } catch (error) {
@@ -55,6 +136,85 @@ const authenticateToken = async (req, res, next) => {
       message: 'Internal server error'
     });
   }
+}, { scope: scope || null });
+
+// Signed-in users only; API keys are rejected
+const authenticateToken = authenticate();
+
+// Signed-in users, or API keys holding the scope
+const authenticateScoped = (scope) => authenticate(scope);
+
+// Attach the user when a valid token is present, but let anonymous requests through.
+// An invalid or expired token is treated the same as no token.
+const optionalAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const { user, session } = await resolveAccessToken(token);
+    if (user) {
+      req.user = user;
+      req.authSession = session;
+    }
+  } catch (error) {
+    // Ignore - continue as an anonymous request
+  }
+  next();
+};
+describeAuthentication(optionalAuth, { optional: true });
+
+// Restrict a route to users holding one of the given roles.
+// Must be used after authenticateToken so that req.user is populated.
+const authorizeRoles = (...roles) => {
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    // An API key never carries its owner's role
+    if (req.apiKey || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+
+    next();
+  };
+  // Read by the OpenAPI generator (services/openapi.js)
+  middleware.roles = roles;
+  return middleware;
+};
+
+// Whether the request may act with moderator powers. Requests made with an API
+// key only ever act as the key's owner, whatever role the owner has.
+const hasModeratorAccess = (req) => {
+  return Boolean(req.user) && !req.apiKey && ['moderator', 'admin'].includes(req.user.role);
+};
+
+// Block unverified accounts when REQUIRE_EMAIL_VERIFICATION is enabled.
+// Must be used after authenticateToken.
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true' || req.user.emailVerified) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'Please verify your email address before continuing'
+  });
 };
 
-module.exports = { authenticateToken };
\ No newline at end of file
+module.exports = {
+  authenticateToken,
+  authenticateScoped,
+  optionalAuth,
+  authorizeRoles,
+  hasModeratorAccess,
+  requireVerifiedEmail
+};
\ No newline at end of file
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const { getRateLimitStore } = require('../services/rateLimit');
+const { envNumber } = require('../utils/env');
+
+// Set RATE_LIMIT_ENABLED=false to turn every limit off, e.g. for load tests
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+// Account identifiers such as email addresses are not stored in plain text
+const hashKey = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+// Limit how often a route can be called within a fixed window, per client IP
+// and per account. Options:
+//   name           identifies the limit in store keys and environment variables
+//   windowSeconds  length of the window
+//   ipMax          requests per IP address and window (0 for no IP limit)
+//   accountMax     requests per account and window (0 for no account limit)
+//   accountKey     req => account identifier, or null when there is none
+//   message        error message once a budget is used up
+// Each number can be overridden with RATE_LIMIT_<NAME>_WINDOW_SECONDS,
+// RATE_LIMIT_<NAME>_IP_MAX and RATE_LIMIT_<NAME>_ACCOUNT_MAX.
+const rateLimit = (options) => {
+  const prefix = `RATE_LIMIT_${options.name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+  const windowSeconds = envNumber(`${prefix}_WINDOW_SECONDS`, options.windowSeconds);
+  const ipMax = envNumber(`${prefix}_IP_MAX`, options.ipMax || 0);
+  const accountMax = envNumber(`${prefix}_ACCOUNT_MAX`, options.accountMax || 0);
+  const message = options.message || 'Too many requests. Please try again later.';
+
+  const middleware = async (req, res, next) => {
+    if (!RATE_LIMIT_ENABLED) {
+      return next();
+    }
+
+    const budgets = [];
+    if (ipMax > 0) {
+      budgets.push({ key: `${options.name}:ip:${req.ip}`, max: ipMax });
+    }
+    const account = accountMax > 0 && options.accountKey ? options.accountKey(req) : null;
+    if (account) {
+      budgets.push({ key: `${options.name}:account:${hashKey(account)}`, max: accountMax });
+    }
+    if (budgets.length === 0) {
+      return next();
+    }
+
+    let counters;
+    try {
+      const store = getRateLimitStore();
+      counters = await Promise.all(budgets.map(budget => store.increment(budget.key, windowSeconds * 1000)));
+    } catch (error) {
+      // An unavailable store should not take the API down with it
+      console.error('Rate limit error:', error);
+      return next();
+    }
+
+    const states = budgets.map((budget, index) => ({
+      max: budget.max,
+      remaining: Math.max(0, budget.max - counters[index].count),
+      exceeded: counters[index].count > budget.max,
+      resetSeconds: Math.max(0, Math.ceil((counters[index].resetAt.getTime() - Date.now()) / 1000))
+    }));
+
+    // The headers describe the budget that decides the outcome: the one blocking
+    // the longest when any is used up, otherwise the one closest to running out
+    const exceeded = states.filter(state => state.exceeded);
+    const state = exceeded.length > 0
+      ? exceeded.reduce((a, b) => (b.resetSeconds > a.resetSeconds ? b : a))
+      : states.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+    res.set({
+      'RateLimit-Policy': states.map(entry => `${entry.max};w=${windowSeconds}`).join(', '),
+      'RateLimit-Limit': String(state.max),
+      'RateLimit-Remaining': String(state.remaining),
+      'RateLimit-Reset': String(state.resetSeconds)
+    });
+
+    if (exceeded.length > 0) {
+      res.set('Retry-After', String(state.resetSeconds));
+      return res.status(429).json({
+        success: false,
+        message,
+        retryAfter: state.resetSeconds
+      });
+    }
+
+    next();
+  };
+
+  // Read by the OpenAPI generator (services/openapi.js)
+  middleware.rateLimit = { name: options.name, windowSeconds, ipMax, accountMax };
+  return middleware;
+};
+
+// Account key for routes identified by an email address in the body
+const emailAccountKey = (req) => {
+  const email = req.body && req.body.email;
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+};
+
+// Account key for routes used by a signed-in user; use after authenticateToken
+const userAccountKey = (req) => (req.user ? req.user._id.toString() : null);
+
+module.exports = { rateLimit, emailAccountKey, userAccountKey };
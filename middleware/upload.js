@@ -0,0 +1,36 @@
+const multer = require('multer');
+const { MAX_FILE_SIZE } = require('../services/media');
+const { MAX_SCREENSHOTS } = require('../validators/model');
+
+// Files are kept in memory; they are validated and re-encoded before anything is stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_SCREENSHOTS
+  }
+});
+
+const UPLOAD_ERROR_MESSAGES = {
+  LIMIT_FILE_SIZE: `Each file must be at most ${MAX_FILE_SIZE / (1024 * 1024)} MB`,
+  LIMIT_FILE_COUNT: `Cannot upload more than ${MAX_SCREENSHOTS} files at once`,
+  LIMIT_UNEXPECTED_FILE: 'Unexpected file field'
+};
+
+// Run a multer handler and answer its errors in the API's error format
+const acceptUpload = (handler) => (req, res, next) => {
+  handler(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        message: UPLOAD_ERROR_MESSAGES[error.code] || error.message
+      });
+    }
+    next(error);
+  });
+};
+
+module.exports = { upload, acceptUpload };
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// What a key may be used for:
+//   models:read    read your own models, including pending ones, revisions and history
+//   models:write   submit, edit and delete your models and their images
+//   reviews:write  write, edit and delete your reviews
+const SCOPES = ['models:read', 'models:write', 'reviews:write'];
+
+// Keys for scripted access on behalf of a user; see services/apiKeys.js.
+// Only the hash is stored; the raw key is shown once when it is created.
+const apiKeySchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // The first characters of the key, so the owner can recognise it in lists
+  keyPreview: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: SCOPES
+  }],
+  expiresAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ owner: 1, createdAt: -1 });
+
+// Never expose the hash
+apiKeySchema.methods.toJSON = function() {
+  const apiKey = this.toObject();
+  delete apiKey.keyHash;
+  return apiKey;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+// The one list of scopes; services/apiKeys.js exports it as API_KEY_SCOPES
+ApiKey.SCOPES = SCOPES;
+
+module.exports = ApiKey;
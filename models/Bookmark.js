@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// A model a user saved to their favorites
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  model: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Model',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One bookmark per user per model
+bookmarkSchema.index({ user: 1, model: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+bookmarkSchema.index({ model: 1 });
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const MAX_COLLECTION_ITEMS = parseInt(process.env.MAX_COLLECTION_ITEMS, 10) || 100;
+
+const collectionItemSchema = new mongoose.Schema({
+  model: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Model',
+    required: true
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A named, ordered list of models curated by a user
+const collectionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxlength: [80, 'Collection name cannot be more than 80 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // Used in share links. Set once and kept when the collection is renamed.
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true
+  },
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  // In display order
+  items: {
+    type: [collectionItemSchema],
+    validate: {
+      validator: items => items.length <= MAX_COLLECTION_ITEMS,
+      message: `A collection cannot have more than ${MAX_COLLECTION_ITEMS} models`
+    }
+  }
+}, {
+  timestamps: true
+});
+
+collectionSchema.index({ owner: 1, updatedAt: -1 });
+collectionSchema.index({ 'items.model': 1 });
+
+// Slug from the name plus a random suffix, so links are unique and not guessable
+collectionSchema.pre('save', function(next) {
+  if (!this.slug) {
+    const base = this.name
+      .toLowerCase()
+      .replace(/[^a-z0-9\s-]/g, '')
+      .trim()
+      .replace(/\s+/g, '-')
+      .replace(/-+/g, '-')
+      .slice(0, 50)
+      .replace(/-$/, '');
+    const suffix = crypto.randomBytes(4).toString('hex');
+    this.slug = base ? `${base}-${suffix}` : suffix;
+  }
+  next();
+});
+
+module.exports = mongoose.model('Collection', collectionSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const COMPARISON_DEDUPE_MINUTES = parseInt(process.env.COMPARISON_DEDUPE_MINUTES, 10) || 24 * 60;
+
+// Marks that an actor compared a set of models within the current window, so
+// repeated comparisons of the same set only count once towards ComparisonPair
+const comparisonEventSchema = new mongoose.Schema({
+  dedupeKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+comparisonEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: COMPARISON_DEDUPE_MINUTES * 60 });
+
+module.exports = mongoose.model('ComparisonEvent', comparisonEventSchema);
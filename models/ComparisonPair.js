@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// How often two models were compared with each other. Each pair is stored
+// once, with the lower ID in `a`.
+const comparisonPairSchema = new mongoose.Schema({
+  a: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Model',
+    required: true
+  },
+  b: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Model',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  lastComparedAt: {
+    type: Date
+  }
+});
+
+comparisonPairSchema.index({ a: 1, b: 1 }, { unique: true });
+comparisonPairSchema.index({ a: 1, count: -1 });
+comparisonPairSchema.index({ b: 1, count: -1 });
+
+module.exports = mongoose.model('ComparisonPair', comparisonPairSchema);
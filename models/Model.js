@@ -1,4 +1,26 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { buildSearchFields } = require('../utils/searchTokens');
+const { toProviderKey } = require('../utils/providers');
+
+const screenshotSchema = new mongoose.Schema({
+  // Stable identifier, used to delete a single screenshot
+  id: {
+    type: String,
+    default: () => crypto.randomUUID()
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  thumbnailUrl: {
+    type: String,
+    trim: true
+  },
+  width: Number,
+  height: Number
+}, { _id: false });
 
 const modelSchema = new mongoose.Schema({
   name: {
@@ -13,6 +35,12 @@ const modelSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   },
+  // Slugs this model was reachable under before its name changed
+  previousSlugs: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
   shortDescription: {
     type: String,
     required: [true, 'Short description is required'],
@@ -45,6 +73,10 @@ const modelSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Provider name cannot be more than 50 characters']
   },
+  // Normalized provider name (see utils/providers.js), so spellings of the same provider group together
+  providerKey: {
+    type: String
+  },
   pricing: {
     type: String,
     enum: ['free', 'freemium', 'paid'],
@@ -56,11 +88,27 @@ const modelSchema = new mongoose.Schema({
     min: [0, 'Rating cannot be negative'],
     max: [5, 'Rating cannot be more than 5']
   },
+  // Sum of all review ratings, kept alongside reviewsCount so the average can be updated atomically
+  ratingSum: {
+    type: Number,
+    default: 0,
+    select: false
+  },
   reviewsCount: {
     type: Number,
     default: 0,
     min: [0, 'Reviews count cannot be negative']
   },
+  viewsCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Views count cannot be negative']
+  },
+  clicksCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Clicks count cannot be negative']
+  },
   installsCount: {
     type: Number,
     default: 0,
@@ -97,10 +145,11 @@ const modelSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
-  screenshots: [{
+  iconThumbnailUrl: {
     type: String,
     trim: true
-  }],
+  },
+  screenshots: [screenshotSchema],
   featured: {
     type: Boolean,
     default: false
@@ -126,10 +175,17 @@ const modelSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Each example prompt cannot be more than 200 characters']
   }],
+  // Cleared when the uploader deletes their account but keeps the listing up
   uploadedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.uploaderDeleted;
+    }
+  },
+  uploaderDeleted: {
+    type: Boolean,
+    default: false
   },
   status: {
     type: String,
@@ -139,45 +195,151 @@ const modelSchema = new mongoose.Schema({
   rejectionReason: {
     type: String,
     trim: true
+  },
+  approvedAt: {
+    type: Date
+  },
+  // Derived from name, provider, model type and tags for prefix and typo-tolerant search
+  searchTerms: {
+    type: [String],
+    select: false
+  },
+  searchVariants: {
+    type: [String],
+    select: false
   }
 }, {
   timestamps: true
 });
 
-// Generate slug from name before saving
+// Slugs that would be shadowed by fixed routes under /api/models
+const RESERVED_SLUGS = ['admin', 'compare', 'my-models', 'slug', 'suggest'];
+
+// Generate slug from name before saving. When the name changes the old slug is
+// kept in previousSlugs, so links using it still resolve.
 modelSchema.pre('save', async function(next) {
   if (this.isModified('name') || !this.slug) {
-    let baseSlug = this.name
+    const baseSlug = this.name
       .toLowerCase()
       .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-+|-+$/g, '');
-    
+      .replace(/^-+|-+$/g, '') || 'model';
+
+    // Slugs only contain [a-z0-9-], so they are safe to embed in a pattern.
+    // A single query finds every taken variant of the base slug, current or previous.
+    const pattern = new RegExp(`^${baseSlug}(-\\d+)?$`);
+    const taken = await this.constructor.find({
+      _id: { $ne: this._id },
+      $or: [{ slug: pattern }, { previousSlugs: pattern }]
+    }).select('slug previousSlugs').lean();
+
+    const usedSlugs = new Set(RESERVED_SLUGS);
+    taken.forEach(model => {
+      [model.slug, ...(model.previousSlugs || [])]
+        .filter(slug => pattern.test(slug))
+        .forEach(slug => usedSlugs.add(slug));
+    });
+
     let slug = baseSlug;
     let counter = 1;
-    
-    // Check for existing slugs and append counter if needed
-    while (true) {
-      const existingModel = await this.constructor.findOne({ 
-        slug: slug, 
-        _id: { $ne: this._id } 
-      });
-      
-      if (!existingModel) {
-        break;
-      }
-      
+    while (usedSlugs.has(slug)) {
       slug = `${baseSlug}-${counter}`;
       counter++;
     }
-    
+
+    if (this.slug && this.slug !== slug) {
+      if (!this.previousSlugs.includes(this.slug)) {
+        this.previousSlugs.push(this.slug);
+      }
+      // Renaming back to an earlier name reclaims its slug
+      this.previousSlugs.pull(slug);
+    }
+
     this.slug = slug;
   }
   next();
 });
 
+// Keep the derived search fields in sync with the fields they are built from
+modelSchema.pre('save', function(next) {
+  if (this.isNew || ['name', 'provider', 'modelType', 'tags'].some(field => this.isModified(field))) {
+    Object.assign(this, buildSearchFields(this));
+  }
+  next();
+});
+
+// Keep the provider key in sync with the provider name
+modelSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('provider') || !this.providerKey) {
+    this.providerKey = toProviderKey(this.provider);
+  }
+  next();
+});
+
+// Fill in derived search fields for models saved before they existed. Called once on startup.
+modelSchema.statics.backfillSearchFields = async function() {
+  const models = await this.find({ searchTerms: { $exists: false } })
+    .select('name provider modelType tags')
+    .lean();
+
+  if (models.length === 0) {
+    return 0;
+  }
+
+  await this.bulkWrite(models.map(model => ({
+    updateOne: {
+      filter: { _id: model._id },
+      update: { $set: buildSearchFields(model) }
+    }
+  })), { ordered: false });
+
+  return models.length;
+};
+
+// Fill in provider keys for models saved before they existed. Called once on startup.
+modelSchema.statics.backfillProviderKeys = async function() {
+  const models = await this.find({ providerKey: { $exists: false } }).select('provider').lean();
+
+  if (models.length === 0) {
+    return 0;
+  }
+
+  await this.bulkWrite(models.map(model => ({
+    updateOne: {
+      filter: { _id: model._id },
+      update: { $set: { providerKey: toProviderKey(model.provider) } }
+    }
+  })), { ordered: false });
+
+  return models.length;
+};
+
 // Index for better query performance
 modelSchema.index({ category: 1, status: 1 });
 modelSchema.index({ uploadedBy: 1 });
+modelSchema.index({ providerKey: 1, status: 1 });
 modelSchema.index({ featured: -1, trendingScore: -1 });
+modelSchema.index({ previousSlugs: 1 });
+modelSchema.index({ searchTerms: 1 });
+modelSchema.index({ searchVariants: 1 });
+
+// Weighted full-text index used for relevance-ranked search
+modelSchema.index({
+  name: 'text',
+  tags: 'text',
+  provider: 'text',
+  shortDescription: 'text',
+  features: 'text',
+  longDescription: 'text'
+}, {
+  name: 'model_text_search',
+  weights: {
+    name: 10,
+    tags: 6,
+    provider: 5,
+    shortDescription: 4,
+    features: 3,
+    longDescription: 1
+  }
+});
 
 module.exports = mongoose.model('Model', modelSchema);
\ No newline at end of file
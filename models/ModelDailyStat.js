@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Per-model, per-day (UTC) rollup of de-duplicated engagement events
+const modelDailyStatSchema = new mongoose.Schema({
+  model: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Model',
+    required: true
+  },
+  // UTC midnight of the day
+  date: {
+    type: Date,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  clicks: {
+    type: Number,
+    default: 0
+  },
+  installs: {
+    type: Number,
+    default: 0
+  }
+});
+
+modelDailyStatSchema.index({ model: 1, date: -1 }, { unique: true });
+modelDailyStatSchema.index({ date: -1 });
+
+module.exports = mongoose.model('ModelDailyStat', modelDailyStatSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const EVENT_RETENTION_DAYS = parseInt(process.env.EVENT_RETENTION_DAYS, 10) || 90;
+
+// Raw engagement events. Kept for a limited time; long-term numbers live in ModelDailyStat.
+const modelEventSchema = new mongoose.Schema({
+  model: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Model',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['view', 'click', 'install'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // "user:<id>" for signed-in users, otherwise a hash of the client IP and user agent
+  actorKey: {
+    type: String,
+    required: true
+  },
+  // Derived from the actor's previous counted event, so two events counted
+  // against the same previous one cannot both be stored
+  dedupeKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+modelEventSchema.index({ model: 1, type: 1, createdAt: -1 });
+modelEventSchema.index({ actorKey: 1, createdAt: -1 });
+modelEventSchema.index({ model: 1, type: 1, actorKey: 1, createdAt: -1 });
+modelEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: EVENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ModelEvent', modelEventSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A version of a model's editable fields. Owners submit pending revisions of
+// approved models; approved revisions form the model's version history.
+const modelRevisionSchema = new mongoose.Schema({
+  model: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Model',
+    required: true
+  },
+  // Sequential per model, starting at 1
+  number: {
+    type: Number,
+    required: true
+  },
+  // Snapshot of the editable fields (see EDITABLE_MODEL_FIELDS)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  // initial: the version live before any revision was approved
+  // submission: changes proposed by the owner
+  // restore: an earlier approved version put back live
+  source: {
+    type: String,
+    enum: ['initial', 'submission', 'restore'],
+    default: 'submission'
+  },
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModelRevision'
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+modelRevisionSchema.index({ model: 1, number: -1 }, { unique: true });
+modelRevisionSchema.index({ status: 1, createdAt: 1 });
+// At most one revision per model waits for moderation at a time
+modelRevisionSchema.index(
+  { model: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' }, name: 'one_pending_revision_per_model' }
+);
+
+module.exports = mongoose.model('ModelRevision', modelRevisionSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Time-limited lease a moderator holds on a pending model while reviewing it.
+// At most one claim exists per model; an expired claim can be taken over.
+const moderationClaimSchema = new mongoose.Schema({
+  model: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Model',
+    required: true,
+    unique: true
+  },
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+moderationClaimSchema.index({ moderator: 1, expiresAt: 1 });
+// Expired claims are ignored by every query; the TTL index only keeps the collection small
+moderationClaimSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ModerationClaim', moderationClaimSchema);
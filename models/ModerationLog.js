@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Append-only record of every status transition of a model, and of every
+// decision that changes its live version without changing its status. Entries outlive
+// the model they describe, so its name is copied onto each entry.
+const moderationLogSchema = new mongoose.Schema({
+  model: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Model',
+    required: true
+  },
+  modelName: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Role of the actor at the time of the transition
+  actorRole: {
+    type: String,
+    enum: ['user', 'moderator', 'admin'],
+    required: true
+  },
+  // submission: the owner uploaded the model
+  // moderation: a moderator or admin set the status
+  // owner-edit: the owner edited a rejected model, which puts it back to pending
+  // revision-approved / revision-rejected: a moderator decided on an edit of an approved model
+  // restore: a moderator put an earlier approved version back live
+  trigger: {
+    type: String,
+    enum: ['submission', 'moderation', 'owner-edit', 'revision-approved', 'revision-rejected', 'restore'],
+    required: true
+  },
+  // The revision that was decided on or restored
+  revision: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModelRevision'
+  },
+  revisionNumber: {
+    type: Number
+  },
+  // null for the submission entry
+  previousStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', null],
+    default: null
+  },
+  newStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  // Set when the reason came from the canned rejection reasons
+  cannedReason: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RejectionReason'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+moderationLogSchema.index({ model: 1, createdAt: -1 });
+moderationLogSchema.index({ actor: 1, createdAt: -1 });
+moderationLogSchema.index({ createdAt: -1 });
+
+const appendOnly = function(next) {
+  next(new Error('Moderation log entries cannot be modified or deleted'));
+};
+
+moderationLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return appendOnly(next);
+  }
+  next();
+});
+
+moderationLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  appendOnly
+);
+moderationLogSchema.pre('deleteOne', { document: true, query: false }, appendOnly);
+
+module.exports = mongoose.model('ModerationLog', moderationLogSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Canned rejection reasons, managed by admins and picked by moderators
+const rejectionReasonSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Label is required'],
+    trim: true,
+    unique: true,
+    maxlength: [60, 'Label cannot be more than 60 characters']
+  },
+  text: {
+    type: String,
+    required: [true, 'Text is required'],
+    trim: true,
+    maxlength: [500, 'Text cannot be more than 500 characters']
+  },
+  // Inactive reasons are hidden from moderators but kept for reference
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('RejectionReason', rejectionReasonSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  model: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Model',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be at least 1'],
+    max: [5, 'Rating cannot be more than 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    }
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Review title cannot be more than 100 characters']
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Review text cannot be more than 2000 characters']
+  },
+  helpfulCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Helpful count cannot be negative']
+  },
+  // Users who marked the review as helpful; kept out of API responses
+  helpfulVoters: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
+  ownerReply: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reply cannot be more than 1000 characters']
+    },
+    repliedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: Date,
+    updatedAt: Date
+  },
+  editedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One review per user per model
+reviewSchema.index({ model: 1, user: 1 }, { unique: true });
+reviewSchema.index({ model: 1, createdAt: -1 });
+reviewSchema.index({ model: 1, helpfulCount: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -1,4 +1,32 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 12;
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$/;
+
+const MAX_PROFILE_LINKS = 5;
+
+const profileLinkSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Link label is required'],
+    trim: true,
+    maxlength: [40, 'Link label cannot be more than 40 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'Link URL is required'],
+    trim: true,
+    maxlength: [500, 'Link URL cannot be more than 500 characters'],
+    validate: {
+      validator: function(v) {
+        return /^https?:\/\/.+/.test(v);
+      },
+      message: 'Please enter a valid URL starting with http:// or https://'
+    }
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -38,6 +66,94 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long']
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // New address waiting to be confirmed through the email-change link
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Brute-force protection; see services/loginProtection.js
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  // Lockouts since the last successful login; each one lasts twice as long as the previous
+  lockoutCount: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockedUntil: {
+    type: Date,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ['user', 'moderator', 'admin'],
+    default: 'user'
+  },
+  // Set when an admin changes the role; ADMIN_EMAILS no longer applies after that
+  roleChangedAt: {
+    type: Date
+  },
+  // Public profile, shown at /api/users/:id/profile. Email and mobile number are never part of it.
+  profile: {
+    displayName: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Display name cannot be more than 50 characters']
+    },
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Bio cannot be more than 500 characters']
+    },
+    avatarUrl: {
+      type: String,
+      trim: true
+    },
+    avatarThumbnailUrl: {
+      type: String,
+      trim: true
+    },
+    links: {
+      type: [profileLinkSchema],
+      validate: {
+        validator: function(links) {
+          return links.length <= MAX_PROFILE_LINKS;
+        },
+        message: `A profile cannot have more than ${MAX_PROFILE_LINKS} links`
+      }
+    },
+    // Hidden profiles are only visible to their owner
+    isPublic: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // Notification types the user wants to receive; see services/notifications.js
+  notificationPreferences: {
+    status: {
+      type: Boolean,
+      default: true
+    },
+    review: {
+      type: Boolean,
+      default: true
+    },
+    milestone: {
+      type: Boolean,
+      default: true
+    }
+  },
   uploadedModels: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Model'
@@ -46,6 +162,45 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Hash the password whenever it is set or changed
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  try {
+    this.password = await bcrypt.hash(this.password, BCRYPT_ROUNDS);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compare a candidate password against the stored one.
+// Accounts created before hashing was introduced still hold a plaintext password;
+// those are compared in constant time and re-hashed by the caller on successful login.
+userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password || typeof candidatePassword !== 'string') {
+    return false;
+  }
+
+  if (BCRYPT_HASH_PATTERN.test(this.password)) {
+    return bcrypt.compare(candidatePassword, this.password);
+  }
+
+  const stored = crypto.createHash('sha256').update(this.password).digest();
+  const candidate = crypto.createHash('sha256').update(candidatePassword).digest();
+  return crypto.timingSafeEqual(stored, candidate);
+};
+
+// True when the stored password is plaintext or was hashed with a different cost factor
+userSchema.methods.needsPasswordRehash = function() {
+  if (!BCRYPT_HASH_PATTERN.test(this.password)) {
+    return true;
+  }
+  return bcrypt.getRounds(this.password) !== BCRYPT_ROUNDS;
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// An endpoint a user registered to hear about changes to the models they uploaded
+const webhookSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    maxlength: [2000, 'Webhook URL cannot be more than 2000 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  // Signs every payload. Only shown when the webhook is created or the secret rotated.
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  events: [{
+    type: String,
+    enum: ['model.submitted', 'model.approved', 'model.rejected', 'model.updated', 'model.deleted']
+  }],
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: {
+    type: Date
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ owner: 1, active: 1, events: 1 });
+
+// Never expose the secret
+webhookSchema.methods.toJSON = function() {
+  const webhook = this.toObject();
+  delete webhook.secret;
+  return webhook;
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,417 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ModerationLog = require('../models/ModerationLog');
+const RejectionReason = require('../models/RejectionReason');
+const { roleSchema, rejectionReasonSchema, auditQuerySchema } = require('../validators/admin');
+const { parsePagination, paginateQuery, isInvalidCursorError } = require('../utils/pagination');
+const { recomputeTrendingScores, getTrendingBreakdown } = require('../services/trending');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Every endpoint in this router is restricted to admins
+router.use(authenticateToken, authorizeRoles('admin'));
+
+// GET /api/admin/users - List users, optionally filtered by role (Admin)
+router.get('/users', async (req, res) => {
+  try {
+    const { role } = req.query;
+    const { error, value: page } = parsePagination(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (role && !['all', 'user', 'moderator', 'admin'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role. Must be: all, user, moderator, or admin'
+      });
+    }
+
+    const filter = {};
+    if (role && role !== 'all') {
+      filter.role = role;
+    }
+
+    const { items: users, pagination } = await paginateQuery(User, {
+      filter,
+      sort: [['createdAt', -1]],
+      sortKey: 'newest',
+      limit: page.limit,
+      cursor: page.cursor,
+      prepare: query => query.select('firstName lastName email role createdAt')
+    });
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('Get users error:', error);
+
+    if (isInvalidCursorError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired cursor'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /api/admin/users/:id/role - Promote or demote a user (Admin)
+router.put('/users/:id/role', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    const { error, value } = roleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Never leave the system without an admin
+    if (user.role === 'admin' && value.role !== 'admin') {
+      const adminCount = await User.countDocuments({ role: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot demote the last remaining admin'
+        });
+      }
+    }
+
+    user.role = value.role;
+    user.roleChangedAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: `User role updated to ${user.role}`,
+      data: {
+        user: {
+          id: user._id,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          email: user.email,
+          role: user.role
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/admin/trending/recompute - Recompute trending scores now (Admin)
+router.post('/trending/recompute', async (req, res) => {
+  try {
+    const run = await recomputeTrendingScores();
+
+    res.json({
+      success: true,
+      message: 'Trending scores recomputed successfully',
+      data: { run }
+    });
+
+  } catch (error) {
+    console.error('Recompute trending error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/admin/trending/:modelId - Inspect the trending score breakdown of a model (Admin)
+router.get('/trending/:modelId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.modelId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid model ID format'
+      });
+    }
+
+    const breakdown = await getTrendingBreakdown(req.params.modelId);
+    if (!breakdown) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { breakdown }
+    });
+
+  } catch (error) {
+    console.error('Trending breakdown error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/admin/audit-log - Moderation log across all models, filterable by moderator, model, status and date range (Admin)
+router.get('/audit-log', async (req, res) => {
+  try {
+    const { limit, cursor, ...filters } = req.query;
+    const { error: pageError, value: page } = parsePagination(req.query);
+    const { error: filterError, value } = auditQuerySchema.validate(filters, { abortEarly: false });
+    const errors = [pageError, filterError].filter(Boolean);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.flatMap(err => err.details.map(detail => detail.message))
+      });
+    }
+
+    const filter = {};
+    if (value.moderator) {
+      filter.actor = value.moderator;
+    }
+    if (value.model) {
+      filter.model = value.model;
+    }
+    if (value.status) {
+      filter.newStatus = value.status;
+    }
+    if (value.from || value.to) {
+      filter.createdAt = {};
+      if (value.from) {
+        filter.createdAt.$gte = value.from;
+      }
+      if (value.to) {
+        filter.createdAt.$lte = value.to;
+      }
+    }
+
+    const { items: entries, pagination } = await paginateQuery(ModerationLog, {
+      filter,
+      sort: [['createdAt', -1]],
+      sortKey: 'newest',
+      limit: page.limit,
+      cursor: page.cursor,
+      prepare: query => query
+        .populate('actor', 'firstName lastName email role')
+        .populate('model', 'name slug status')
+    });
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+
+    if (isInvalidCursorError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired cursor'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/admin/rejection-reasons - List canned rejection reasons, including inactive ones (Admin)
+router.get('/rejection-reasons', async (req, res) => {
+  try {
+    const reasons = await RejectionReason.find()
+      .populate('createdBy', 'firstName lastName')
+      .sort({ active: -1, label: 1 });
+
+    res.json({
+      success: true,
+      data: { reasons }
+    });
+
+  } catch (error) {
+    console.error('Get rejection reasons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/admin/rejection-reasons - Add a canned rejection reason (Admin)
+router.post('/rejection-reasons', async (req, res) => {
+  try {
+    const { error, value } = rejectionReasonSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const reason = await RejectionReason.create({ ...value, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rejection reason created successfully',
+      data: { reason }
+    });
+
+  } catch (error) {
+    console.error('Create rejection reason error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rejection reason with this label already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /api/admin/rejection-reasons/:id - Update or deactivate a canned rejection reason (Admin)
+router.put('/rejection-reasons/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rejection reason ID format'
+      });
+    }
+
+    const { error, value } = rejectionReasonSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const reason = await RejectionReason.findByIdAndUpdate(req.params.id, value, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!reason) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rejection reason not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rejection reason updated successfully',
+      data: { reason }
+    });
+
+  } catch (error) {
+    console.error('Update rejection reason error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rejection reason with this label already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/admin/rejection-reasons/:id - Delete a canned rejection reason (Admin)
+router.delete('/rejection-reasons/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rejection reason ID format'
+      });
+    }
+
+    // Past rejections keep their text; the moderation log still references the ID
+    const reason = await RejectionReason.findByIdAndDelete(req.params.id);
+    if (!reason) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rejection reason not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rejection reason deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete rejection reason error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
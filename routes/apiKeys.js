@@ -0,0 +1,177 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const { authenticateToken } = require('../middleware/auth');
+const { API_KEY_SCOPES, issueApiKey } = require('../services/apiKeys');
+const { apiKeySchema, renameSchema } = require('../validators/apiKeys');
+
+// API keys of the signed-in user, mounted at /api/api-keys. Keys cannot manage
+// keys: every endpoint here needs a session.
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const MAX_API_KEYS_PER_USER = parseInt(process.env.MAX_API_KEYS_PER_USER, 10) || 10;
+
+const findOwnApiKey = (id, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  return ApiKey.findOne({ _id: id, owner: userId });
+};
+
+// GET /api/api-keys - Your API keys, newest first, including revoked ones (Protected)
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ owner: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys,
+        scopes: API_KEY_SCOPES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/api-keys - Create an API key (Protected)
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = apiKeySchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const count = await ApiKey.countDocuments({ owner: req.user._id, revokedAt: null });
+    if (count >= MAX_API_KEYS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You cannot have more than ${MAX_API_KEYS_PER_USER} active API keys`
+      });
+    }
+
+    const { apiKey, key } = await issueApiKey(req.user._id, {
+      name: value.name,
+      scopes: value.scopes,
+      expiresAt: value.expiresInDays
+        ? new Date(Date.now() + value.expiresInDays * 24 * 60 * 60 * 1000)
+        : undefined
+    });
+
+    // The key is only ever shown here
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Copy it now; it will not be shown again.',
+      data: { apiKey, key }
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /api/api-keys/:id - Rename an API key (Protected)
+router.put('/:id', async (req, res) => {
+  try {
+    const { error, value } = renameSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const apiKey = await findOwnApiKey(req.params.id, req.user._id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    apiKey.name = value.name;
+    await apiKey.save();
+
+    res.json({
+      success: true,
+      message: 'API key renamed successfully',
+      data: { apiKey }
+    });
+
+  } catch (error) {
+    console.error('Rename API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/api-keys/:id - Revoke an API key; it stops working immediately (Protected)
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = await findOwnApiKey(req.params.id, req.user._id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key is already revoked'
+      });
+    }
+
+    // Revoked keys stay listed with their usage, for the owner's records
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: { apiKey }
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
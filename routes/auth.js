@@ -1,61 +1,77 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const Joi = require('joi');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const { promoteBootstrapAdmin } = require('../utils/adminBootstrap');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const { authenticateToken } = require('../middleware/auth');
+const { rateLimit, emailAccountKey, userAccountKey } = require('../middleware/rateLimit');
+const { createSession, rotateSession } = require('../services/sessions');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendEmailChangedNotice
+} = require('../services/accountEmails');
+const {
+  signupSchema,
+  loginSchema,
+  emailSchema,
+  tokenSchema,
+  resetPasswordSchema,
+  refreshSchema
+} = require('../validators/auth');
+const {
+  getLockRemainingSeconds,
+  recordFailedLogin,
+  clearLoginFailures
+} = require('../services/loginProtection');
 
 const router = express.Router();
 
-// JWT Secret - In production, this should be in environment variables
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-here';
-
-// Validation schemas
-const signupSchema = Joi.object({
-  firstName: Joi.string().trim().max(50).required().messages({
-    'string.empty': 'First name is required',
-    'string.max': 'First name cannot be more than 50 characters',
-    'any.required': 'First name is required'
-  }),
-  lastName: Joi.string().trim().max(50).required().messages({
-    'string.empty': 'Last name is required',
-    'string.max': 'Last name cannot be more than 50 characters',
-    'any.required': 'Last name is required'
-  }),
-  email: Joi.string().email().required().messages({
-    'string.email': 'Please enter a valid email address',
-    'string.empty': 'Email is required',
-    'any.required': 'Email is required'
-  }),
-  mobileNumber: Joi.string().pattern(/^[6-9]\d{9}$/).required().messages({
-    'string.pattern.base': 'Please enter a valid 10-digit mobile number starting with 6-9',
-    'string.empty': 'Mobile number is required',
-    'any.required': 'Mobile number is required'
-  }),
-  password: Joi.string().min(6).required().messages({
-    'string.min': 'Password must be at least 6 characters long',
-    'string.empty': 'Password is required',
-    'any.required': 'Password is required'
-  })
-});
-
-const loginSchema = Joi.object({
-  email: Joi.string().email().required().messages({
-    'string.email': 'Please enter a valid email address',
-    'string.empty': 'Email is required',
-    'any.required': 'Email is required'
-  }),
-  password: Joi.string().required().messages({
-    'string.empty': 'Password is required',
-    'any.required': 'Password is required'
-  })
-});
-
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '7d' });
-};
+// Request budgets; each can be changed with RATE_LIMIT_<NAME>_* variables (see middleware/rateLimit.js)
+const signupLimit = rateLimit({
+  name: 'signup',
+  windowSeconds: 60 * 60,
+  ipMax: 10,
+  message: 'Too many sign-ups from this network. Please try again later.'
+});
+
+// Failed logins also lock the account itself; see services/loginProtection.js
+const loginLimit = rateLimit({
+  name: 'login',
+  windowSeconds: 15 * 60,
+  ipMax: 30,
+  accountMax: 10,
+  accountKey: emailAccountKey,
+  message: 'Too many login attempts. Please try again later.'
+});
+
+const passwordResetRequestLimit = rateLimit({
+  name: 'forgot-password',
+  windowSeconds: 60 * 60,
+  ipMax: 10,
+  accountMax: 3,
+  accountKey: emailAccountKey,
+  message: 'Too many password reset requests. Please try again later.'
+});
+
+const resendVerificationLimit = rateLimit({
+  name: 'resend-verification',
+  windowSeconds: 60 * 60,
+  accountMax: 3,
+  accountKey: userAccountKey,
+  message: 'Too many verification emails requested. Please try again later.'
+});
+
+// Endpoints taking an emailed token, so tokens cannot be guessed at speed
+const emailTokenLimit = rateLimit({
+  name: 'email-token',
+  windowSeconds: 15 * 60,
+  ipMax: 30
+});
 
 // POST /api/auth/signup
-router.post('/signup', async (req, res) => {
+router.post('/signup', signupLimit, async (req, res) => {
   try {
     // Validate input data
     const { error, value } = signupSchema.validate(req.body);
@@ -102,8 +118,15 @@ router.post('/signup', async (req, res) => {
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send the verification email; a mail failure should not fail the signup
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Start a session and issue access/refresh tokens
+    const tokens = await createSession(user, req);
 
     res.status(201).json({
       success: true,
@@ -115,9 +138,11 @@ router.post('/signup', async (req, res) => {
           lastName: user.lastName,
           email: user.email,
           mobileNumber: user.mobileNumber,
+          role: user.role,
+          emailVerified: user.emailVerified,
           createdAt: user.createdAt
         },
-        token
+        ...tokens
       }
     });
 
@@ -141,8 +166,19 @@ router.post('/signup', async (req, res) => {
   }
 });
 
+// Answer a login attempt on a locked account
+const sendAccountLocked = (res, seconds) => {
+  const minutes = Math.ceil(seconds / 60);
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or reset your password.`,
+    retryAfter: seconds
+  });
+};
+
 // POST /api/auth/login
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimit, async (req, res) => {
   try {
     // Validate input data
     const { error, value } = loginSchema.validate(req.body);
@@ -157,7 +193,8 @@ router.post('/login', async (req, res) => {
     const { email, password } = value;
 
     // Find user by email
-    const user = await User.findOne({ email: email.toLowerCase() });
+    const user = await User.findOne({ email: email.toLowerCase() })
+      .select('+failedLoginAttempts +lockoutCount +lockedUntil');
     if (!user) {
       return res.status(401).json({
         success: false,
@@ -165,16 +202,37 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // A locked account rejects even the right password until the lock is over
+    const lockedSeconds = getLockRemainingSeconds(user);
+    if (lockedSeconds > 0) {
+      return sendAccountLocked(res, lockedSeconds);
+    }
+
     // Check password
-    if (user.password !== password) {
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      const lockSeconds = await recordFailedLogin(user);
+      if (lockSeconds > 0) {
+        return sendAccountLocked(res, lockSeconds);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (user.failedLoginAttempts > 0 || user.lockoutCount > 0) {
+      await clearLoginFailures(user);
+    }
+
+    // Transparently upgrade plaintext or outdated hashes now that we know the password
+    if (user.needsPasswordRehash()) {
+      user.password = password;
+      await user.save();
+    }
+
+    // Start a session and issue access/refresh tokens
+    const tokens = await createSession(user, req);
 
     res.json({
       success: true,
@@ -186,9 +244,11 @@ router.post('/login', async (req, res) => {
           lastName: user.lastName,
           email: user.email,
           mobileNumber: user.mobileNumber,
+          role: user.role,
+          emailVerified: user.emailVerified,
           createdAt: user.createdAt
         },
-        token
+        ...tokens
       }
     });
 
@@ -212,4 +272,383 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { error, value } = refreshSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const tokens = await rotateSession(value.refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: tokens
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/auth/logout - Revoke the current session (Protected)
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    req.authSession.revokedAt = new Date();
+    req.authSession.revokedReason = 'logout';
+    await req.authSession.save();
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/auth/logout-all - Revoke every session of the current user (Protected)
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, { reason: 'logout-all' });
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices successfully',
+      data: { revokedSessions: result.modifiedCount }
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/auth/sessions - List the current user's active sessions (Protected)
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session._id.equals(req.authSession._id)
+        })),
+        count: sessions.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Revoke one of the current user's sessions (Protected)
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID format'
+      });
+    }
+
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'revoked' } }
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/auth/verify-email - Confirm an email address with a token from the verification email
+router.post('/verify-email', emailTokenLimit, async (req, res) => {
+  try {
+    const { error, value } = tokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const userToken = await UserToken.consume(value.token, 'email-verification');
+    if (!userToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userToken.user,
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    // ADMIN_EMAILS only takes effect once the address is proven
+    await promoteBootstrapAdmin(user);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/auth/confirm-email-change - Switch to a new email address with a token from the confirmation email
+router.post('/confirm-email-change', emailTokenLimit, async (req, res) => {
+  try {
+    const { error, value } = tokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const userToken = await UserToken.consume(value.token, 'email-change');
+    const user = userToken && await User.findById(userToken.user);
+    if (!user || !user.pendingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired confirmation token'
+      });
+    }
+
+    // The address may have been taken since the change was requested
+    if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    const previousEmail = user.email;
+    user.email = user.pendingEmail;
+    user.pendingEmail = undefined;
+    // Opening the link proves ownership of the new address
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+    await promoteBootstrapAdmin(user);
+
+    // A mail failure should not undo the change
+    try {
+      await sendEmailChangedNotice(user, previousEmail);
+    } catch (mailError) {
+      console.error('Email changed notice error:', mailError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Email address changed successfully',
+      data: { email: user.email }
+    });
+
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/auth/resend-verification - Send a new verification email (Protected)
+router.post('/resend-verification', authenticateToken, resendVerificationLimit, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/auth/forgot-password - Email a password reset link
+router.post('/forgot-password', passwordResetRequestLimit, async (req, res) => {
+  try {
+    const { error, value } = emailSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    // The email is sent in the background: waiting for it (or failing with it) would
+    // make the response slower or different for registered addresses
+    const user = await User.findOne({ email: value.email.toLowerCase() });
+    if (user) {
+      sendPasswordResetEmail(user).catch(mailError => {
+        console.error('Password reset email error:', mailError);
+      });
+    }
+
+    // Same response whether or not the account exists, so emails cannot be enumerated
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/auth/reset-password - Set a new password with a token from the reset email
+router.post('/reset-password', emailTokenLimit, async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const userToken = await UserToken.consume(value.token, 'password-reset');
+    const user = userToken && await User.findById(userToken.user);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    user.password = value.password;
+    // The reset link was delivered to the inbox, which proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // ADMIN_EMAILS only takes effect once the address is proven, which the reset link does
+    await promoteBootstrapAdmin(user);
+
+    // Sign out everywhere: whoever knew the old password must not stay logged in
+    await Session.revokeAllForUser(user._id, { reason: 'password-changed' });
+    // Proving ownership of the inbox also ends a lockout
+    await clearLoginFailures(user);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,351 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Collection = require('../models/Collection');
+const {
+  collectionSchema,
+  collectionUpdateSchema,
+  addItemSchema,
+  reorderSchema
+} = require('../validators/collections');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { MODEL_CARD_FIELDS, findApprovedModel } = require('../utils/modelLookup');
+const { getDisplayName } = require('../services/profiles');
+
+const router = express.Router();
+
+const MAX_COLLECTIONS_PER_USER = parseInt(process.env.MAX_COLLECTIONS_PER_USER, 10) || 50;
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const findOwnCollection = (id, userId) => {
+  if (!isValidId(id)) {
+    return null;
+  }
+  return Collection.findOne({ _id: id, owner: userId });
+};
+
+// Collection with its items populated. Items whose model is no longer approved
+// are left out; they stay stored and reappear if the model is approved again.
+// Public collections are shared by link, so the owner is shown by display name only.
+const serializeCollection = async (collection) => {
+  await collection.populate([
+    { path: 'owner', select: 'firstName lastName profile.displayName' },
+    { path: 'items.model', match: { status: 'approved' }, select: MODEL_CARD_FIELDS }
+  ]);
+
+  const data = collection.toJSON();
+  if (data.owner) {
+    data.owner = { _id: data.owner._id, displayName: getDisplayName(data.owner) };
+  }
+  data.items = data.items.filter(item => item.model);
+  return data;
+};
+
+// POST /api/collections - Create a collection (Protected)
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = collectionSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const count = await Collection.countDocuments({ owner: req.user._id });
+    if (count >= MAX_COLLECTIONS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You cannot have more than ${MAX_COLLECTIONS_PER_USER} collections`
+      });
+    }
+
+    const collection = await Collection.create({ ...value, owner: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      data: { collection: await serializeCollection(collection) }
+    });
+
+  } catch (error) {
+    console.error('Create collection error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/collections/:slug - View a collection by its share slug (Public if the collection is public, otherwise owner only)
+router.get('/:slug', optionalAuth, async (req, res) => {
+  try {
+    const collection = await Collection.findOne({ slug: String(req.params.slug).toLowerCase() });
+
+    // Private collections look the same as missing ones to everyone but their owner
+    const isOwner = collection && req.user && collection.owner.equals(req.user._id);
+    if (!collection || (!collection.isPublic && !isOwner)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { collection: await serializeCollection(collection) }
+    });
+
+  } catch (error) {
+    console.error('Get collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /api/collections/:id - Rename, describe or change the visibility of a collection (Protected - owner only)
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = collectionUpdateSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const collection = await findOwnCollection(req.params.id, req.user._id);
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    Object.assign(collection, value);
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Collection updated successfully',
+      data: { collection: await serializeCollection(collection) }
+    });
+
+  } catch (error) {
+    console.error('Update collection error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/collections/:id - Delete a collection (Protected - owner only)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req.params.id, req.user._id);
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    await collection.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/collections/:id/items - Add an approved model to the end of a collection (Protected - owner only)
+router.post('/:id/items', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = addItemSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const collection = await findOwnCollection(req.params.id, req.user._id);
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const model = await findApprovedModel(value.modelId);
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model not found'
+      });
+    }
+
+    if (collection.items.some(item => item.model.equals(model._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Model is already in this collection'
+      });
+    }
+
+    collection.items.push({ model: model._id });
+    await collection.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Model added to collection',
+      data: { collection: await serializeCollection(collection) }
+    });
+
+  } catch (error) {
+    console.error('Add collection item error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /api/collections/:id/items - Reorder a collection (Protected - owner only)
+router.put('/:id/items', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = reorderSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const collection = await findOwnCollection(req.params.id, req.user._id);
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const itemsByModel = new Map(collection.items.map(item => [item.model.toString(), item]));
+    const unknown = value.modelIds.filter(id => !itemsByModel.has(id));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Models not in this collection: ${unknown.join(', ')}`
+      });
+    }
+
+    // Listed models come first in the given order; hidden items the client
+    // could not see keep their relative order at the end
+    const listed = new Set(value.modelIds);
+    collection.items = [
+      ...value.modelIds.map(id => itemsByModel.get(id).toObject()),
+      ...collection.items.filter(item => !listed.has(item.model.toString())).map(item => item.toObject())
+    ];
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Collection reordered successfully',
+      data: { collection: await serializeCollection(collection) }
+    });
+
+  } catch (error) {
+    console.error('Reorder collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/collections/:id/items/:modelId - Remove a model from a collection (Protected - owner only)
+router.delete('/:id/items/:modelId', authenticateToken, async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req.params.id, req.user._id);
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const remaining = collection.items.filter(item => item.model.toString() !== req.params.modelId);
+    if (remaining.length === collection.items.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model is not in this collection'
+      });
+    }
+
+    collection.items = remaining;
+    await collection.save();
+
+    res.json({
+      success: true,
+      message: 'Model removed from collection',
+      data: { collection: await serializeCollection(collection) }
+    });
+
+  } catch (error) {
+    console.error('Remove collection item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
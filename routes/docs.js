@@ -0,0 +1,57 @@
+const express = require('express');
+const swaggerUiDist = require('swagger-ui-dist');
+const { buildOpenApiDocument } = require('../services/openapi');
+
+// API documentation, mounted at /api. Neither endpoint needs the database.
+const router = express.Router();
+
+// Swagger UI is served from the installed swagger-ui-dist package rather than a
+// CDN, so the page only ever runs the version pinned by the lockfile
+router.use('/docs/assets', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+// Routes do not change once the server is up, so the document is built once
+let openApiDocument = null;
+
+// GET /api/openapi.json - OpenAPI 3 document for the whole API (Public)
+router.get('/openapi.json', (req, res) => {
+  try {
+    if (!openApiDocument) {
+      openApiDocument = buildOpenApiDocument(req.app);
+    }
+    res.json(openApiDocument);
+
+  } catch (error) {
+    console.error('Build OpenAPI document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/docs - Interactive API documentation (Public)
+router.get('/docs', (req, res) => {
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>SochAI API documentation</title>
+  <link rel="stylesheet" href="${req.baseUrl}/docs/assets/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${req.baseUrl}/docs/assets/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({
+      url: '${req.baseUrl}/openapi.json',
+      dom_id: '#swagger-ui',
+      persistAuthorization: true
+    });
+  </script>
+</body>
+</html>`);
+});
+
+module.exports = router;
@@ -0,0 +1,459 @@
+const express = require('express');
+const User = require('../models/User');
+const Model = require('../models/Model');
+const Session = require('../models/Session');
+const Bookmark = require('../models/Bookmark');
+const Collection = require('../models/Collection');
+const { authenticateToken } = require('../middleware/auth');
+const { upload, acceptUpload } = require('../middleware/upload');
+const { MODEL_ACTIONS, deleteAccount, exportAccountData } = require('../services/accounts');
+const { sendEmailChangeEmail } = require('../services/accountEmails');
+const { isImageValidationError, storeUserAvatar, removeStoredImages } = require('../services/media');
+const {
+  profileUpdateSchema,
+  changePasswordSchema,
+  changeEmailSchema,
+  deleteAccountSchema
+} = require('../validators/me');
+const { MODEL_CARD_FIELDS } = require('../utils/modelLookup');
+const { parsePagination, paginateQuery, isInvalidCursorError } = require('../utils/pagination');
+
+// Endpoints about the signed-in user, mounted at /api/me
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// GET /api/me - Your profile (Protected)
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { user: req.user }
+    });
+
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Turn nested profile fields into dotted paths, so a partial profile update
+// leaves the other profile fields alone
+const toUpdatePaths = ({ profile, ...fields }) => {
+  const update = { ...fields };
+  Object.entries(profile || {}).forEach(([field, value]) => {
+    update[`profile.${field}`] = value;
+  });
+  return update;
+};
+
+// PATCH /api/me - Change your name, mobile number or public profile (Protected)
+router.patch('/', async (req, res) => {
+  try {
+    const { error, value } = profileUpdateSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (value.mobileNumber) {
+      const existingUser = await User.findOne({
+        mobileNumber: value.mobileNumber,
+        _id: { $ne: req.user._id }
+      });
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          message: 'User with this mobile number already exists'
+        });
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: toUpdatePaths(value) },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Update profile error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /api/me/avatar - Upload your profile picture (multipart field "avatar") (Protected)
+router.put('/avatar', acceptUpload(upload.single('avatar')), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'An image file in the "avatar" field is required'
+      });
+    }
+
+    const image = await storeUserAvatar(req.user._id, req.file.buffer);
+    const previous = req.user.profile || {};
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: { 'profile.avatarUrl': image.url, 'profile.avatarThumbnailUrl': image.thumbnailUrl } },
+      { new: true }
+    ).select('-password');
+
+    await removeStoredImages([previous.avatarUrl, previous.avatarThumbnailUrl], `users/${req.user._id}/`);
+
+    res.json({
+      success: true,
+      message: 'Avatar uploaded successfully',
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Upload avatar error:', error);
+
+    if (isImageValidationError(error)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/me/avatar - Remove your profile picture (Protected)
+router.delete('/avatar', async (req, res) => {
+  try {
+    const previous = req.user.profile || {};
+    if (!previous.avatarUrl) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have no avatar'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $unset: { 'profile.avatarUrl': 1, 'profile.avatarThumbnailUrl': 1 } },
+      { new: true }
+    ).select('-password');
+
+    await removeStoredImages([previous.avatarUrl, previous.avatarThumbnailUrl], `users/${req.user._id}/`);
+
+    res.json({
+      success: true,
+      message: 'Avatar removed successfully',
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Remove avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /api/me/password - Change your password and sign out your other sessions (Protected)
+router.put('/password', async (req, res) => {
+  try {
+    const { error, value } = changePasswordSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(value.currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = value.newPassword;
+    await user.save();
+
+    // Whoever knew the old password must not stay logged in elsewhere
+    const result = await Session.revokeAllForUser(user._id, {
+      except: req.authSession._id,
+      reason: 'password-changed'
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: { revokedSessions: result.modifiedCount }
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/me/email - Start changing your email address; the new one must be confirmed (Protected)
+router.post('/email', async (req, res) => {
+  try {
+    const { error, value } = changeEmailSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const email = value.email.toLowerCase();
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(value.password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already your email address'
+      });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    user.pendingEmail = email;
+    await user.save();
+    await sendEmailChangeEmail(user);
+
+    res.json({
+      success: true,
+      message: `We sent a confirmation link to ${email}. Your email address changes once you open it.`
+    });
+
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/me/export - Download everything stored about you as JSON (Protected)
+router.get('/export', async (req, res) => {
+  try {
+    const data = await exportAccountData(req.user);
+
+    res.set('Content-Disposition', `attachment; filename="sochai-export-${req.user._id}.json"`);
+    res.type('application/json').send(JSON.stringify(data, null, 2));
+
+  } catch (error) {
+    console.error('Export account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/me - Delete your account and the data it owns (Protected)
+router.delete('/', async (req, res) => {
+  try {
+    const { error, value } = deleteAccountSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(value.password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (user.role === 'admin' && !(await User.exists({ role: 'admin', _id: { $ne: user._id } }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are the only admin. Make someone else an admin before deleting your account.'
+      });
+    }
+
+    const modelsCount = await Model.countDocuments({ uploadedBy: user._id });
+    if (modelsCount > 0 && !value.models) {
+      return res.status(400).json({
+        success: false,
+        message: `Choose what happens to your ${modelsCount} model(s) with "models": ${MODEL_ACTIONS.join(', ')}`
+      });
+    }
+
+    let recipient;
+    if (value.models === 'transfer') {
+      recipient = await User.findOne({ email: value.transferTo.toLowerCase() });
+      if (!recipient || recipient._id.equals(user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'No other user with this email address was found'
+        });
+      }
+    }
+
+    const result = await deleteAccount(user, {
+      modelAction: value.models || 'delete',
+      recipient
+    });
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/me/bookmarks - Your bookmarked models, newest first (Protected)
+router.get('/bookmarks', async (req, res) => {
+  try {
+    const { error, value: page } = parsePagination(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { items: bookmarks, pagination } = await paginateQuery(Bookmark, {
+      filter: { user: req.user._id },
+      sort: [['createdAt', -1]],
+      sortKey: 'newest',
+      limit: page.limit,
+      cursor: page.cursor,
+      prepare: query => query.populate({
+        path: 'model',
+        match: { status: 'approved' },
+        select: MODEL_CARD_FIELDS
+      })
+    });
+
+    // Bookmarks of models that are no longer approved are kept but not shown
+    res.json({
+      success: true,
+      data: {
+        bookmarks: bookmarks
+          .filter(bookmark => bookmark.model)
+          .map(bookmark => ({ model: bookmark.model, bookmarkedAt: bookmark.createdAt })),
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('Get bookmarks error:', error);
+
+    if (isInvalidCursorError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired cursor'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/me/collections - Your collections, public and private (Protected)
+router.get('/collections', async (req, res) => {
+  try {
+    const collections = await Collection.find({ owner: req.user._id })
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        collections: collections.map(collection => ({
+          id: collection._id,
+          name: collection.name,
+          description: collection.description,
+          slug: collection.slug,
+          isPublic: collection.isPublic,
+          itemsCount: collection.items.length,
+          updatedAt: collection.updatedAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get collections error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
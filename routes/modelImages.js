@@ -0,0 +1,199 @@
+const express = require('express');
+const { authenticateScoped } = require('../middleware/auth');
+const { upload, acceptUpload } = require('../middleware/upload');
+const { emitModelChange } = require('../services/modelEvents');
+const { findModelByIdOrSlug } = require('../utils/modelLookup');
+const { MAX_SCREENSHOTS } = require('../validators/model');
+const { diffSnapshots, snapshotModel, submitRevision, getProposedSnapshot } = require('../services/revisions');
+const {
+  isImageValidationError,
+  storeModelImage,
+  collectImageUrls,
+  releaseImages
+} = require('../services/media');
+
+// Icon and screenshot endpoints, mounted at /api/models/:id
+const router = express.Router({ mergeParams: true });
+
+// Load the model of the signed-in owner before any file is read
+const loadOwnedModel = async (req, res, next) => {
+  try {
+    const result = await findModelByIdOrSlug(req.params.id, { uploadedBy: req.user._id });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model not found or you do not have permission to edit it'
+      });
+    }
+    req.model = result.model;
+    next();
+  } catch (error) {
+    console.error('Load model error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// The version image changes apply to: the proposed one for approved models, the live one otherwise
+const getEditableSnapshot = async (model) => {
+  return model.status === 'approved' ? getProposedSnapshot(model) : snapshotModel(model);
+};
+
+// Apply image changes to a model. Approved models keep their live images and
+// get the changes as a revision, like any other edit.
+const applyImageChanges = async (model, changes, user) => {
+  if (model.status === 'approved') {
+    const previous = await getProposedSnapshot(model);
+    const revision = await submitRevision(model, { ...previous, ...changes }, user._id);
+    await releaseImages(model, collectImageUrls(previous));
+    return { revision, changes: diffSnapshots(snapshotModel(model), revision.data) };
+  }
+
+  const previous = snapshotModel(model);
+  Object.assign(model, changes);
+  await model.save();
+  emitModelChange('updated', model, { actor: user });
+  await releaseImages(model, collectImageUrls(previous));
+  return { model };
+};
+
+const sendImageResult = (res, result, message, data) => {
+  if (result.revision) {
+    return res.status(202).json({
+      success: true,
+      message: `${message}. The current version stays live until the changes are approved.`,
+      data: { ...data, revision: result.revision, changes: result.changes }
+    });
+  }
+
+  res.json({
+    success: true,
+    message,
+    data: { ...data, model: result.model }
+  });
+};
+
+const handleImageError = (res, error, label) => {
+  console.error(`${label} error:`, error);
+
+  if (isImageValidationError(error)) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// PUT /api/models/:id/icon - Upload or replace the icon, multipart field "icon" (Protected - owner only)
+router.put('/icon', authenticateScoped('models:write'), loadOwnedModel, acceptUpload(upload.single('icon')), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'An image file in the "icon" field is required'
+      });
+    }
+
+    const image = await storeModelImage(req.model._id, 'icon', req.file.buffer);
+    const result = await applyImageChanges(req.model, {
+      iconUrl: image.url,
+      iconThumbnailUrl: image.thumbnailUrl
+    }, req.user);
+
+    sendImageResult(res, result, 'Icon uploaded successfully', { icon: image });
+
+  } catch (error) {
+    handleImageError(res, error, 'Upload icon');
+  }
+});
+
+// DELETE /api/models/:id/icon - Remove the icon (Protected - owner only)
+router.delete('/icon', authenticateScoped('models:write'), loadOwnedModel, async (req, res) => {
+  try {
+    const current = await getEditableSnapshot(req.model);
+    if (!current.iconUrl) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model has no icon'
+      });
+    }
+
+    const result = await applyImageChanges(req.model, {
+      iconUrl: undefined,
+      iconThumbnailUrl: undefined
+    }, req.user);
+
+    sendImageResult(res, result, 'Icon removed successfully', {});
+
+  } catch (error) {
+    handleImageError(res, error, 'Remove icon');
+  }
+});
+
+// POST /api/models/:id/screenshots - Add screenshots, multipart field "screenshots" (Protected - owner only)
+router.post('/screenshots', authenticateScoped('models:write'), loadOwnedModel, acceptUpload(upload.array('screenshots', MAX_SCREENSHOTS)), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one image file in the "screenshots" field is required'
+      });
+    }
+
+    const current = (await getEditableSnapshot(req.model)).screenshots || [];
+
+    if (current.length + req.files.length > MAX_SCREENSHOTS) {
+      return res.status(400).json({
+        success: false,
+        message: `A model cannot have more than ${MAX_SCREENSHOTS} screenshots (${current.length} already added)`
+      });
+    }
+
+    const screenshots = [];
+    for (const file of req.files) {
+      screenshots.push(await storeModelImage(req.model._id, 'screenshot', file.buffer));
+    }
+
+    const result = await applyImageChanges(req.model, {
+      screenshots: [...current, ...screenshots]
+    }, req.user);
+
+    sendImageResult(res, result, 'Screenshots uploaded successfully', { screenshots });
+
+  } catch (error) {
+    handleImageError(res, error, 'Upload screenshots');
+  }
+});
+
+// DELETE /api/models/:id/screenshots/:screenshotId - Remove a screenshot (Protected - owner only)
+router.delete('/screenshots/:screenshotId', authenticateScoped('models:write'), loadOwnedModel, async (req, res) => {
+  try {
+    const current = (await getEditableSnapshot(req.model)).screenshots || [];
+
+    const remaining = current.filter(screenshot => screenshot.id !== req.params.screenshotId);
+    if (remaining.length === current.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Screenshot not found'
+      });
+    }
+
+    const result = await applyImageChanges(req.model, { screenshots: remaining }, req.user);
+
+    sendImageResult(res, result, 'Screenshot removed successfully', {});
+
+  } catch (error) {
+    handleImageError(res, error, 'Remove screenshot');
+  }
+});
+
+module.exports = router;
@@ -1,76 +1,92 @@
 const express = require('express');
-const Joi = require('joi');
 const Model = require('../models/Model');
 const User = require('../models/User');
-const { authenticateToken } = require('../middleware/auth');
+const ModelRevision = require('../models/ModelRevision');
+const ModerationLog = require('../models/ModerationLog');
+const Bookmark = require('../models/Bookmark');
+const reviewRoutes = require('./reviews');
+const modelImageRoutes = require('./modelImages');
+const moderationRoutes = require('./moderation');
+const { modelSchema, MODEL_IMAGE_FIELDS } = require('../validators/model');
+const { snapshotModel, diffSnapshots, submitRevision, getProposedSnapshot } = require('../services/revisions');
+const { logStatusChange } = require('../services/moderation');
+const { emitModelChange } = require('../services/modelEvents');
+const { deleteModel } = require('../services/modelDeletion');
+const { SIMILAR_MAX_RESULTS, getSimilarModels } = require('../services/similar');
+const {
+  COMPARE_MIN_MODELS,
+  COMPARE_MAX_MODELS,
+  buildComparison,
+  recordComparison,
+  getCommonlyCompared
+} = require('../services/comparisons');
+const {
+  authenticateToken,
+  authenticateScoped,
+  optionalAuth,
+  hasModeratorAccess,
+  requireVerifiedEmail
+} = require('../middleware/auth');
+const { rateLimit, userAccountKey } = require('../middleware/rateLimit');
+const {
+  UPLOADER_FIELDS,
+  findModelByIdOrSlug,
+  findApprovedModel,
+  paginateModels
+} = require('../utils/modelLookup');
+const { recordEvent } = require('../services/eventTracker');
+const { eventSchema } = require('../validators/events');
+const { escapeRegex, rankModels, buildHighlights } = require('../utils/search');
+const { tokenize } = require('../utils/searchTokens');
+const {
+  MODEL_SORTS,
+  NAME_COLLATION,
+  parseListQuery,
+  buildModelFilter,
+  computeFacets
+} = require('../utils/modelFilters');
+const {
+  parsePagination,
+  paginateQuery,
+  paginateRanked,
+  isInvalidCursorError
+} = require('../utils/pagination');
 
 const router = express.Router();
 
-// Validation schema for model upload
-const modelSchema = Joi.object({
-  name: Joi.string().trim().max(100).required().messages({
-    'string.empty': 'Model name is required',
-    'string.max': 'Model name cannot be more than 100 characters',
-    'any.required': 'Model name is required'
-  }),
-  shortDescription: Joi.string().trim().max(200).required().messages({
-    'string.empty': 'Short description is required',
-    'string.max': 'Short description cannot be more than 200 characters',
-    'any.required': 'Short description is required'
-  }),
-  longDescription: Joi.string().trim().max(2000).allow('').messages({
-    'string.max': 'Long description cannot be more than 2000 characters'
-  }),
-  category: Joi.string().valid(
-    'chatbots', 'image', 'code', 'productivity', 'voice', 
-    'writing', 'research', 'agents', 'video', 'audio', 
-    'data-analysis', 'language', 'design', 'automation', 
-    'healthcare', 'education', 'marketing', 'finance'
-  ).required().messages({
-    'any.only': 'Please select a valid category',
-    'any.required': 'Category is required'
-  }),
-  tags: Joi.array().items(
-    Joi.string().trim().max(30).messages({
-      'string.max': 'Each tag cannot be more than 30 characters'
-    })
-  ).default([]),
-  provider: Joi.string().trim().max(50).required().messages({
-    'string.empty': 'Provider is required',
-    'string.max': 'Provider name cannot be more than 50 characters',
-    'any.required': 'Provider is required'
-  }),
-  pricing: Joi.string().valid('free', 'freemium', 'paid').default('freemium'),
-  capabilities: Joi.array().items(
-    Joi.string().valid('text', 'image', 'audio', 'video', 'code', 'agent')
-  ).default([]),
-  isApiAvailable: Joi.boolean().default(false),
-  isOpenSource: Joi.boolean().default(false),
-  modelType: Joi.string().trim().max(50).allow('').messages({
-    'string.max': 'Model type cannot be more than 50 characters'
-  }),
-  externalUrl: Joi.string().uri().allow('').messages({
-    'string.uri': 'Please enter a valid URL'
-  }),
-  bestFor: Joi.array().items(
-    Joi.string().trim().max(50).messages({
-      'string.max': 'Each "best for" item cannot be more than 50 characters'
-    })
-  ).default([]),
-  features: Joi.array().items(
-    Joi.string().trim().max(100).messages({
-      'string.max': 'Each feature cannot be more than 100 characters'
-    })
-  ).default([]),
-  examplePrompts: Joi.array().items(
-    Joi.string().trim().max(200).messages({
-      'string.max': 'Each example prompt cannot be more than 200 characters'
-    })
-  ).default([])
+const MODEL_STATUSES = ['pending', 'approved', 'rejected'];
+const SEARCH_MAX_LENGTH = 100;
+const SEARCH_RESULT_LIMIT = 500;
+const SUGGESTION_LIMIT = 5;
+const COMMONLY_COMPARED_LIMIT = 5;
+const SIMILAR_DEFAULT_LIMIT = 6;
+
+// Engagement events per user and network, shared by the event and visit
+// routes, which anyone can call; see middleware/rateLimit.js
+const eventLimit = rateLimit({
+  name: 'events',
+  windowSeconds: 15 * 60,
+  ipMax: 300,
+  accountMax: 300,
+  accountKey: userAccountKey,
+  message: 'Too many events. Please try again later.'
 });
 
+// Model submissions per user and network; see middleware/rateLimit.js
+const submissionLimit = rateLimit({
+  name: 'model-submission',
+  windowSeconds: 60 * 60,
+  ipMax: 20,
+  accountMax: 10,
+  accountKey: userAccountKey,
+  message: 'Too many model submissions. Please try again later.'
+});
+
+// Moderation endpoints: /api/models/admin/*
+router.use('/admin', moderationRoutes);
+
 // POST /api/models - Upload a new AI model (Protected)
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateScoped('models:write'), requireVerifiedEmail, submissionLimit, async (req, res) => {
   try {
     // Validate input data
     const { error, value } = modelSchema.validate(req.body);
@@ -102,6 +118,8 @@ router.post('/', authenticateToken, async (req, res) => {
     });
 
     await model.save();
+    await logStatusChange(model, { actor: req.user, trigger: 'submission' });
+    emitModelChange('created', model, { actor: req.user });
 
     // Add model to user's uploadedModels array
     await User.findByIdAndUpdate(
@@ -137,22 +155,65 @@ router.post('/', authenticateToken, async (req, res) => {
 });
 
 // GET /api/models/my-models - Get user's uploaded models (Protected)
-router.get('/my-models', authenticateToken, async (req, res) => {
+router.get('/my-models', authenticateScoped('models:read'), async (req, res) => {
   try {
-    const models = await Model.find({ uploadedBy: req.user._id })
-      .sort({ createdAt: -1 })
-      .select('-uploadedBy');
+    const { status, sort = 'newest' } = req.query;
+    const { error, value: page } = parsePagination(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (!MODEL_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Must be one of: ${Object.keys(MODEL_SORTS).join(', ')}`
+      });
+    }
+
+    if (status && !['all', ...MODEL_STATUSES].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be: all, pending, approved, or rejected'
+      });
+    }
+
+    const filter = { uploadedBy: req.user._id };
+    if (status && status !== 'all') {
+      filter.status = status;
+    }
+
+    const { items: models, pagination } = await paginateQuery(Model, {
+      filter,
+      sort: MODEL_SORTS[sort],
+      sortKey: sort,
+      limit: page.limit,
+      cursor: page.cursor,
+      collation: sort === 'name' ? NAME_COLLATION : undefined,
+      prepare: query => query.select('-uploadedBy')
+    });
 
     res.json({
       success: true,
       data: {
         models,
-        count: models.length
+        pagination: { ...pagination, sort }
       }
     });
 
   } catch (error) {
     console.error('Get user models error:', error);
+
+    if (isInvalidCursorError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired cursor'
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -164,54 +225,95 @@ router.get('/my-models', authenticateToken, async (req, res) => {
 // GET /api/models - Get all approved models (Public)
 router.get('/', async (req, res) => {
   try {
-    const { category, pricing, page = 1, limit = 20, search } = req.query;
-    const skip = (page - 1) * limit;
-
-    // Build filter object
-    const filter = { status: 'approved' };
-    
-    if (category && category !== 'all') {
-      filter.category = category;
-    }
-    
-    if (pricing && pricing !== 'all') {
-      filter.pricing = pricing;
+    const { error, value: query } = parseListQuery(req.query);
+    const { error: pageError, value: page } = parsePagination(req.query);
+    if (error || pageError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: [...(error ? error.details : []), ...(pageError ? pageError.details : [])]
+          .map(detail => detail.message)
+      });
     }
-    
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { shortDescription: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
+
+    const search = query.search || '';
+    const sort = query.sort || (search ? 'relevance' : 'trending');
+    if (sort === 'relevance' && !search) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sorting by relevance requires a search query'
+      });
     }
 
-    const models = await Model.find(filter)
-      .populate('uploadedBy', 'firstName lastName')
-      .sort({ featured: -1, trendingScore: -1, createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select('-rejectionReason');
+    const filter = buildModelFilter(query);
+
+    let models;
+    let pagination;
+    let facets;
 
-    const totalModels = await Model.countDocuments(filter);
-    const totalPages = Math.ceil(totalModels / limit);
+    if (search) {
+      const ranked = await rankModels(search, filter, { limit: SEARCH_RESULT_LIMIT });
+      const rankedFilter = { ...filter, _id: { $in: ranked.map(entry => entry.id) } };
+      const scoresById = new Map(ranked.map(entry => [entry.id.toString(), entry.score]));
+
+      let pageModels;
+      if (sort === 'relevance') {
+        // Page through the ranked list, then load the models of this page
+        const rankedPage = paginateRanked(ranked, { limit: page.limit, cursor: page.cursor });
+        const found = await Model.find({ _id: { $in: rankedPage.entries.map(entry => entry.id) } })
+          .populate('uploadedBy', UPLOADER_FIELDS)
+          .select('-rejectionReason');
+        const foundById = new Map(found.map(model => [model._id.toString(), model]));
+
+        pageModels = rankedPage.entries
+          .map(entry => foundById.get(entry.id.toString()))
+          .filter(Boolean);
+        pagination = rankedPage.pagination;
+      } else {
+        const result = await paginateModels(rankedFilter, sort, page);
+        pageModels = result.items;
+        pagination = result.pagination;
+      }
+
+      models = pageModels.map(model => ({
+        ...model.toJSON(),
+        relevance: scoresById.get(model._id.toString()),
+        highlights: buildHighlights(model, search)
+      }));
+      facets = await computeFacets(Model, rankedFilter);
+    } else {
+      const [result, filterFacets] = await Promise.all([
+        paginateModels(filter, sort, page),
+        computeFacets(Model, filter)
+      ]);
+      models = result.items;
+      pagination = result.pagination;
+      facets = filterFacets;
+    }
 
     res.json({
       success: true,
       data: {
         models,
+        facets,
         pagination: {
-          currentPage: parseInt(page),
-          totalPages,
-          totalModels,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
+          ...pagination,
+          sort,
+          totalModels: facets.total
         }
       }
     });
 
   } catch (error) {
     console.error('Get models error:', error);
+
+    if (isInvalidCursorError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired cursor'
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -220,39 +322,130 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /api/models/:id - Get a specific model by ID (Public)
-router.get('/:id', async (req, res) => {
+// GET /api/models/suggest - Autocomplete model names, tags and providers (Public)
+router.get('/suggest', async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // Check if the id is a valid ObjectId
-    const mongoose = require('mongoose');
-    if (!mongoose.Types.ObjectId.isValid(id)) {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q || q.length > SEARCH_MAX_LENGTH) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid model ID format'
+        message: `Query parameter q is required and cannot be more than ${SEARCH_MAX_LENGTH} characters`
+      });
+    }
+
+    const terms = tokenize(q);
+    if (terms.length === 0) {
+      return res.json({
+        success: true,
+        data: { models: [], tags: [], providers: [] }
       });
     }
 
-    const model = await Model.findOne({
-      _id: id,
-      status: 'approved'
-    }).populate('uploadedBy', 'firstName lastName');
+    // Every complete word must match and the word being typed is matched as a prefix
+    const lastTerm = terms[terms.length - 1];
+    const filter = {
+      status: 'approved',
+      searchTerms: { $regex: `^${escapeRegex(lastTerm)}` }
+    };
+    if (terms.length > 1) {
+      filter.$and = [{ searchTerms: { $all: terms.slice(0, -1) } }];
+    }
+    const prefix = new RegExp(`^${escapeRegex(q)}`, 'i');
+
+    const [models, tags, providers] = await Promise.all([
+      Model.find(filter)
+        .sort({ trendingScore: -1, name: 1 })
+        .limit(SUGGESTION_LIMIT)
+        .select('name slug category provider'),
+      Model.aggregate([
+        { $match: filter },
+        { $unwind: '$tags' },
+        { $match: { tags: prefix } },
+        { $group: { _id: { $toLower: '$tags' }, tag: { $first: '$tags' }, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: SUGGESTION_LIMIT }
+      ]),
+      Model.aggregate([
+        { $match: { ...filter, provider: prefix } },
+        { $group: { _id: { $toLower: '$provider' }, provider: { $first: '$provider' }, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: SUGGESTION_LIMIT }
+      ])
+    ]);
 
-    if (!model) {
+    res.json({
+      success: true,
+      data: {
+        models: models.map(model => ({
+          id: model._id,
+          name: model.name,
+          slug: model.slug,
+          category: model.category,
+          provider: model.provider
+        })),
+        tags: tags.map(entry => ({ tag: entry.tag, count: entry.count })),
+        providers: providers.map(entry => ({ provider: entry.provider, count: entry.count }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Suggest models error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/models/compare?ids=a,b,c - Compare 2-4 approved models side by side (Public)
+router.get('/compare', optionalAuth, async (req, res) => {
+  try {
+    const raw = Array.isArray(req.query.ids) ? req.query.ids.join(',') : req.query.ids;
+    const ids = typeof raw === 'string'
+      ? [...new Set(raw.split(',').map(id => id.trim()).filter(Boolean))]
+      : [];
+
+    if (ids.length < COMPARE_MIN_MODELS || ids.length > COMPARE_MAX_MODELS) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide between ${COMPARE_MIN_MODELS} and ${COMPARE_MAX_MODELS} different model IDs or slugs in ids`
+      });
+    }
+
+    const models = await Promise.all(ids.map(id => findApprovedModel(id)));
+    const missing = ids.filter((id, index) => !models[index]);
+    if (missing.length > 0) {
       return res.status(404).json({
         success: false,
-        message: 'Model not found'
+        message: `Models not found: ${missing.join(', ')}`
       });
     }
 
+    // An ID and a slug can point at the same model
+    if (new Set(models.map(model => model._id.toString())).size !== models.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each model can only be compared once'
+      });
+    }
+
+    const comparison = buildComparison(models);
+
+    // Popularity tracking must never break the comparison itself
+    try {
+      await recordComparison(models, req);
+    } catch (trackingError) {
+      console.error('Record comparison error:', trackingError);
+    }
+
     res.json({
       success: true,
-      data: { model }
+      data: { comparison }
     });
 
   } catch (error) {
-    console.error('Get model error:', error);
+    console.error('Compare models error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -261,32 +454,74 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// PUT /api/models/:id - Update a model (Protected - only owner)
-router.put('/:id', authenticateToken, async (req, res) => {
+// GET /api/models/:id/similar - Approved models similar to this one (Public)
+router.get('/:id/similar', async (req, res) => {
   try {
-    // Find model by ID and check ownership
-    const model = await Model.findOne({
-      _id: req.params.id,
-      uploadedBy: req.user._id
-    });
+    const limit = req.query.limit === undefined ? SIMILAR_DEFAULT_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > SIMILAR_MAX_RESULTS) {
+      return res.status(400).json({
+        success: false,
+        message: `Limit must be a whole number between 1 and ${SIMILAR_MAX_RESULTS}`
+      });
+    }
 
+    const model = await findApprovedModel(req.params.id);
     if (!model) {
       return res.status(404).json({
         success: false,
-        message: 'Model not found or you do not have permission to edit it'
+        message: 'Model not found'
       });
     }
 
-    // Only allow editing if status is pending or rejected
-    if (model.status === 'approved') {
-      return res.status(400).json({
+    const { results } = await getSimilarModels(model, limit);
+
+    res.json({
+      success: true,
+      data: { similar: results }
+    });
+
+  } catch (error) {
+    console.error('Similar models error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/models/:id/commonly-compared - Models most often compared with this one (Public)
+router.get('/:id/commonly-compared', async (req, res) => {
+  try {
+    const model = await findApprovedModel(req.params.id);
+    if (!model) {
+      return res.status(404).json({
         success: false,
-        message: 'Cannot edit an approved model. Contact support if changes are needed.'
+        message: 'Model not found'
       });
     }
 
-    // Validate update data
-    const { error, value } = modelSchema.validate(req.body);
+    const comparedWith = await getCommonlyCompared(model._id, COMMONLY_COMPARED_LIMIT);
+
+    res.json({
+      success: true,
+      data: { comparedWith }
+    });
+
+  } catch (error) {
+    console.error('Commonly compared error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/models/:id/events - Record a view, click or install (Public)
+router.post('/:id/events', optionalAuth, eventLimit, async (req, res) => {
+  try {
+    const { error, value } = eventSchema.validate(req.body);
     if (error) {
       return res.status(400).json({
         success: false,
@@ -295,23 +530,24 @@ router.put('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    // Update model
-    Object.assign(model, value);
-    if (model.status === 'rejected') {
-      model.status = 'pending'; // Reset to pending when updating a rejected model
-      model.rejectionReason = undefined;
+    const model = await findApprovedModel(req.params.id);
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model not found'
+      });
     }
 
-    await model.save();
+    const { recorded } = await recordEvent(model, value.type, req);
 
-    res.json({
+    res.status(recorded ? 201 : 200).json({
       success: true,
-      message: 'Model updated successfully',
-      data: { model }
+      message: recorded ? 'Event recorded' : 'Duplicate event ignored',
+      data: { recorded }
     });
 
   } catch (error) {
-    console.error('Update model error:', error);
+    console.error('Record event error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -320,36 +556,103 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// DELETE /api/models/:id - Delete a model (Protected - only owner)
-router.delete('/:id', authenticateToken, async (req, res) => {
+// GET /api/models/:id/visit - Log a click-through and redirect to the model's website (Public)
+router.get('/:id/visit', optionalAuth, eventLimit, async (req, res) => {
   try {
-    const model = await Model.findOne({
-      _id: req.params.id,
-      uploadedBy: req.user._id
+    const model = await findApprovedModel(req.params.id);
+    if (!model || !model.externalUrl) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model not found or it has no external URL'
+      });
+    }
+
+    // Tracking must never stand in the way of the redirect
+    try {
+      await recordEvent(model, 'click', req);
+    } catch (trackingError) {
+      console.error('Record visit error:', trackingError);
+    }
+
+    res.redirect(302, model.externalUrl);
+
+  } catch (error) {
+    console.error('Visit model error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  }
+});
 
+// POST /api/models/:id/bookmark - Save a model to your bookmarks (Protected)
+router.post('/:id/bookmark', authenticateToken, async (req, res) => {
+  try {
+    const model = await findApprovedModel(req.params.id);
     if (!model) {
       return res.status(404).json({
         success: false,
-        message: 'Model not found or you do not have permission to delete it'
+        message: 'Model not found'
       });
     }
 
-    await Model.findByIdAndDelete(req.params.id);
-
-    // Remove model from user's uploadedModels array
-    await User.findByIdAndUpdate(
-      req.user._id,
-      { $pull: { uploadedModels: req.params.id } }
+    // Bookmarking twice keeps the original bookmark
+    const result = await Bookmark.updateOne(
+      { user: req.user._id, model: model._id },
+      { $setOnInsert: { user: req.user._id, model: model._id } },
+      { upsert: true }
     );
 
+    const created = result.upsertedCount > 0;
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Model bookmarked' : 'Model already bookmarked',
+      data: { bookmarked: true }
+    });
+
+  } catch (error) {
+    console.error('Bookmark model error:', error);
+
+    if (error.code === 11000) {
+      return res.json({
+        success: true,
+        message: 'Model already bookmarked',
+        data: { bookmarked: true }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/models/:id/bookmark - Remove a model from your bookmarks (Protected)
+router.delete('/:id/bookmark', authenticateToken, async (req, res) => {
+  try {
+    // Also works for models that are no longer approved
+    const result = await findModelByIdOrSlug(req.params.id);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model not found'
+      });
+    }
+
+    await Bookmark.deleteOne({ user: req.user._id, model: result.model._id });
+
     res.json({
       success: true,
-      message: 'Model deleted successfully'
+      message: 'Bookmark removed',
+      data: { bookmarked: false }
     });
 
   } catch (error) {
-    console.error('Delete model error:', error);
+    console.error('Remove bookmark error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -358,39 +661,113 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// ADMIN ENDPOINTS
+// Reviews of a model: /api/models/:id/reviews
+router.use('/:id/reviews', reviewRoutes);
+
+// Icon and screenshot uploads
+router.use('/:id', modelImageRoutes);
 
-// GET /api/models/admin/pending - Get all pending models (Admin)
-router.get('/admin/pending', async (req, res) => {
+// Respond with an approved model looked up by ID or slug. When an outdated slug
+// was used, data.redirect tells the client which slug to link to instead.
+const sendModelDetails = async (res, idOrSlug) => {
+  const result = await findModelByIdOrSlug(idOrSlug, { status: 'approved' });
+
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      message: 'Model not found'
+    });
+  }
+
+  const { model, redirectedFrom } = result;
+  await model.populate('uploadedBy', UPLOADER_FIELDS);
+
+  res.json({
+    success: true,
+    data: {
+      model,
+      redirect: redirectedFrom ? { from: redirectedFrom, to: model.slug } : null
+    }
+  });
+};
+
+// GET /api/models/slug/:slug - Get a specific model by its current or a previous slug (Public)
+router.get('/slug/:slug', async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    await sendModelDetails(res, req.params.slug);
+  } catch (error) {
+    console.error('Get model by slug error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
 
-    const models = await Model.find({ status: 'pending' })
-      .populate('uploadedBy', 'firstName lastName email')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+// GET /api/models/:id - Get a specific model by ID or slug (Public)
+router.get('/:id', async (req, res) => {
+  try {
+    await sendModelDetails(res, req.params.id);
+  } catch (error) {
+    console.error('Get model error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/models/:id/revisions - Revision history of a model (Protected - owner or moderator)
+router.get('/:id/revisions', authenticateScoped('models:read'), async (req, res) => {
+  try {
+    const { error, value: page } = parsePagination(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
 
-    const totalModels = await Model.countDocuments({ status: 'pending' });
-    const totalPages = Math.ceil(totalModels / limit);
+    const result = await findModelByIdOrSlug(req.params.id, hasModeratorAccess(req) ? {} : { uploadedBy: req.user._id });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model not found or you do not have permission to view it'
+      });
+    }
+
+    const { items: revisions, pagination } = await paginateQuery(ModelRevision, {
+      filter: { model: result.model._id },
+      sort: [['number', -1]],
+      sortKey: 'newest',
+      limit: page.limit,
+      cursor: page.cursor,
+      prepare: query => query
+        .populate('submittedBy', 'firstName lastName')
+        .populate('reviewedBy', 'firstName lastName')
+    });
 
     res.json({
       success: true,
       data: {
-        models,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages,
-          totalModels,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
-        }
+        revisions,
+        pagination
       }
     });
 
   } catch (error) {
-    console.error('Get pending models error:', error);
+    console.error('Get model revisions error:', error);
+
+    if (isInvalidCursorError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired cursor'
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -399,52 +776,135 @@ router.get('/admin/pending', async (req, res) => {
   }
 });
 
-// PUT /api/models/admin/:id/status - Update model status (Admin)
-router.put('/admin/:id/status', async (req, res) => {
+// GET /api/models/:id/history - Moderation history of a model (Protected - owner or moderator)
+router.get('/:id/history', authenticateScoped('models:read'), async (req, res) => {
   try {
-    const { status, rejectionReason } = req.body;
-
-    if (!['pending', 'approved', 'rejected'].includes(status)) {
+    const { error, value: page } = parsePagination(req.query);
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid status. Must be: pending, approved, or rejected'
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const result = await findModelByIdOrSlug(req.params.id, hasModeratorAccess(req) ? {} : { uploadedBy: req.user._id });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model not found or you do not have permission to view it'
       });
     }
 
-    if (status === 'rejected' && !rejectionReason) {
+    const { items: history, pagination } = await paginateQuery(ModerationLog, {
+      filter: { model: result.model._id },
+      sort: [['createdAt', -1]],
+      sortKey: 'newest',
+      limit: page.limit,
+      cursor: page.cursor,
+      prepare: query => query.populate('actor', 'firstName lastName')
+    });
+
+    res.json({
+      success: true,
+      data: {
+        history,
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('Get model history error:', error);
+
+    if (isInvalidCursorError(error)) {
       return res.status(400).json({
         success: false,
-        message: 'Rejection reason is required when rejecting a model'
+        message: 'Invalid or expired cursor'
       });
     }
 
-    const model = await Model.findById(req.params.id)
-      .populate('uploadedBy', 'firstName lastName email');
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
 
-    if (!model) {
+// PUT /api/models/:id - Update a model by ID or slug (Protected - only owner)
+router.put('/:id', authenticateScoped('models:write'), async (req, res) => {
+  try {
+    // Find the model by ID or slug among the user's own models
+    const result = await findModelByIdOrSlug(req.params.id, { uploadedBy: req.user._id });
+    if (!result) {
       return res.status(404).json({
         success: false,
-        message: 'Model not found'
+        message: 'Model not found or you do not have permission to edit it'
       });
     }
+    const { model } = result;
 
-    model.status = status;
-    if (status === 'rejected') {
-      model.rejectionReason = rejectionReason;
-    } else {
+    // Validate update data
+    const { error, value } = modelSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    // Approved models stay live as they are; the changes go to moderation as a revision
+    if (model.status === 'approved') {
+      // Same semantics as a direct edit: fields left out keep their live value.
+      // Images are not part of the body, so any already proposed are kept.
+      const live = snapshotModel(model);
+      const pending = await getProposedSnapshot(model);
+      const proposed = { ...live, ...value };
+      MODEL_IMAGE_FIELDS.forEach(field => {
+        proposed[field] = pending[field];
+      });
+      const changes = diffSnapshots(live, proposed);
+      if (changes.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No changes to submit'
+        });
+      }
+
+      const revision = await submitRevision(model, proposed, req.user._id);
+
+      return res.status(202).json({
+        success: true,
+        message: 'Changes submitted for review. The current version stays live until they are approved.',
+        data: { revision, changes }
+      });
+    }
+
+    // Update model
+    const previousStatus = model.status;
+    Object.assign(model, value);
+    if (model.status === 'rejected') {
+      model.status = 'pending'; // Reset to pending when updating a rejected model
       model.rejectionReason = undefined;
     }
 
     await model.save();
 
+    emitModelChange('updated', model, { actor: req.user });
+    if (model.status !== previousStatus) {
+      await logStatusChange(model, { actor: req.user, previousStatus, trigger: 'owner-edit' });
+      emitModelChange('status-changed', model, { previousStatus, actor: req.user });
+    }
+
     res.json({
       success: true,
-      message: `Model ${status} successfully`,
+      message: 'Model updated successfully',
       data: { model }
     });
 
   } catch (error) {
-    console.error('Update model status error:', error);
+    console.error('Update model error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -453,42 +913,27 @@ router.put('/admin/:id/status', async (req, res) => {
   }
 });
 
-// GET /api/models/admin/all - Get all models with any status (Admin)
-router.get('/admin/all', async (req, res) => {
+// DELETE /api/models/:id - Delete a model by ID or slug (Protected - only owner)
+router.delete('/:id', authenticateScoped('models:write'), async (req, res) => {
   try {
-    const { status, page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
-
-    const filter = {};
-    if (status && status !== 'all') {
-      filter.status = status;
+    const result = await findModelByIdOrSlug(req.params.id, { uploadedBy: req.user._id });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model not found or you do not have permission to delete it'
+      });
     }
+    const { model } = result;
 
-    const models = await Model.find(filter)
-      .populate('uploadedBy', 'firstName lastName email')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const totalModels = await Model.countDocuments(filter);
-    const totalPages = Math.ceil(totalModels / limit);
+    await deleteModel(model, req.user);
 
     res.json({
       success: true,
-      data: {
-        models,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages,
-          totalModels,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
-        }
-      }
+      message: 'Model deleted successfully'
     });
 
   } catch (error) {
-    console.error('Get all models error:', error);
+    console.error('Delete model error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -0,0 +1,765 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Model = require('../models/Model');
+const ModelRevision = require('../models/ModelRevision');
+const RejectionReason = require('../models/RejectionReason');
+const {
+  snapshotModel,
+  diffSnapshots,
+  recordApprovedVersion,
+  recordLiveVersion,
+  applySnapshot
+} = require('../services/revisions');
+const {
+  CLAIM_MINUTES,
+  resolveReason,
+  getBlockingClaim,
+  getModelsClaimedByOthers,
+  getActiveClaims,
+  claimModel,
+  claimNextModels,
+  releaseClaim,
+  applyStatusChange,
+  logRevisionDecision
+} = require('../services/moderation');
+const { collectImageUrls, releaseImages } = require('../services/media');
+const { notifyRevisionDecision } = require('../services/notifications');
+const { bulkStatusSchema, revisionStatusSchema, claimNextSchema } = require('../validators/moderation');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { parsePagination, paginateQuery, isInvalidCursorError } = require('../utils/pagination');
+
+// Moderation endpoints, mounted at /api/models/admin
+const router = express.Router();
+
+// Every endpoint in this router requires a moderator or admin account
+router.use(authenticateToken, authorizeRoles('moderator', 'admin'));
+
+const MODEL_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Sort orders for the moderation listings
+const ADMIN_SORTS = {
+  newest: [['createdAt', -1]],
+  oldest: [['createdAt', 1]]
+};
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// GET /api/models/admin/pending - Get all pending models; queue=true hides models claimed by others (Moderator/Admin)
+router.get('/pending', async (req, res) => {
+  try {
+    const queueMode = req.query.queue === 'true';
+    // The queue is worked oldest first
+    const { sort = queueMode ? 'oldest' : 'newest' } = req.query;
+    const { error, value: page } = parsePagination(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (!ADMIN_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Must be one of: ${Object.keys(ADMIN_SORTS).join(', ')}`
+      });
+    }
+
+    const filter = { status: 'pending' };
+    if (queueMode) {
+      filter._id = { $nin: await getModelsClaimedByOthers(req.user._id) };
+    }
+
+    const { items: models, pagination } = await paginateQuery(Model, {
+      filter,
+      sort: ADMIN_SORTS[sort],
+      sortKey: sort,
+      limit: page.limit,
+      cursor: page.cursor,
+      prepare: query => query.populate('uploadedBy', 'firstName lastName email')
+    });
+
+    const claims = await getActiveClaims(models.map(model => model._id));
+
+    res.json({
+      success: true,
+      data: {
+        models: models.map(model => ({
+          ...model.toJSON(),
+          claim: claims.get(model._id.toString()) || null
+        })),
+        pagination: { ...pagination, sort, queue: queueMode }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get pending models error:', error);
+
+    if (isInvalidCursorError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired cursor'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Validate and apply one status change. Shared by the single and bulk endpoints;
+// returns { statusCode, message } on failure or { model } on success.
+const moderateModel = async (modelId, { status, rejectionReason, rejectionReasonId, note }, user) => {
+  if (!['pending', 'approved', 'rejected'].includes(status)) {
+    return { statusCode: 400, message: 'Invalid status. Must be: pending, approved, or rejected' };
+  }
+
+  if (status === 'rejected' && !rejectionReason && !rejectionReasonId) {
+    return { statusCode: 400, message: 'Rejection reason is required when rejecting a model' };
+  }
+
+  const resolved = status === 'rejected'
+    ? await resolveReason({ reason: rejectionReason, reasonId: rejectionReasonId })
+    : await resolveReason({ reason: note });
+  if (resolved.error) {
+    return { statusCode: 400, message: resolved.error };
+  }
+
+  if (!isValidId(modelId)) {
+    return { statusCode: 400, message: 'Invalid model ID format' };
+  }
+
+  const model = await Model.findById(modelId)
+    .populate('uploadedBy', 'firstName lastName email');
+
+  if (!model) {
+    return { statusCode: 404, message: 'Model not found' };
+  }
+
+  const claim = await getBlockingClaim(model._id, user._id);
+  if (claim) {
+    return {
+      statusCode: 409,
+      message: `Model is claimed by another moderator until ${claim.expiresAt.toISOString()}`
+    };
+  }
+
+  await applyStatusChange(model, {
+    status,
+    reason: resolved.reason,
+    cannedReason: resolved.cannedReason,
+    actor: user
+  });
+
+  return { model };
+};
+
+// PUT /api/models/admin/:id/status - Update model status (Moderator/Admin)
+router.put('/:id/status', async (req, res) => {
+  try {
+    const result = await moderateModel(req.params.id, req.body, req.user);
+    if (!result.model) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Model ${req.body.status} successfully`,
+      data: { model: result.model }
+    });
+
+  } catch (error) {
+    console.error('Update model status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/models/admin/bulk-status - Approve or reject many models at once (Moderator/Admin)
+router.post('/bulk-status', async (req, res) => {
+  try {
+    const { error, value } = bulkStatusSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const results = [];
+    for (const item of value.items) {
+      const { id, ...overrides } = typeof item === 'string' ? { id: item } : item;
+      // Per-item reasons replace the shared ones
+      const hasOwnReason = overrides.rejectionReason !== undefined || overrides.rejectionReasonId !== undefined;
+      const input = {
+        status: value.status,
+        rejectionReason: hasOwnReason ? overrides.rejectionReason : value.rejectionReason,
+        rejectionReasonId: hasOwnReason ? overrides.rejectionReasonId : value.rejectionReasonId,
+        note: overrides.note !== undefined ? overrides.note : value.note
+      };
+
+      try {
+        const result = await moderateModel(id, input, req.user);
+        results.push(result.model
+          ? { id, success: true, status: result.model.status }
+          : { id, success: false, statusCode: result.statusCode, message: result.message });
+      } catch (itemError) {
+        console.error('Bulk status item error:', itemError);
+        results.push({ id, success: false, statusCode: 500, message: 'Internal server error' });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+
+    res.json({
+      success: true,
+      message: `${succeeded} of ${results.length} models ${value.status}`,
+      data: {
+        results,
+        summary: {
+          succeeded,
+          failed: results.length - succeeded
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Bulk status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/models/admin/rejection-reasons - Canned rejection reasons to pick from (Moderator/Admin)
+router.get('/rejection-reasons', async (req, res) => {
+  try {
+    const reasons = await RejectionReason.find({ active: true })
+      .select('label text')
+      .sort({ label: 1 });
+
+    res.json({
+      success: true,
+      data: { reasons }
+    });
+
+  } catch (error) {
+    console.error('Get rejection reasons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/models/admin/queue/claim - Claim the next pending models to review (Moderator/Admin)
+router.post('/queue/claim', async (req, res) => {
+  try {
+    const { error, value } = claimNextSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const claims = await claimNextModels(req.user._id, value.count);
+    const models = await Model.find({ _id: { $in: claims.map(claim => claim.model) } })
+      .populate('uploadedBy', 'firstName lastName email')
+      .sort({ createdAt: 1, _id: 1 });
+
+    const expiryByModel = new Map(claims.map(claim => [claim.model.toString(), claim.expiresAt]));
+
+    res.json({
+      success: true,
+      message: claims.length > 0 ? `Claimed ${claims.length} models` : 'No unclaimed pending models',
+      data: {
+        models: models.map(model => ({
+          ...model.toJSON(),
+          claim: { moderator: req.user._id, expiresAt: expiryByModel.get(model._id.toString()) }
+        })),
+        leaseMinutes: CLAIM_MINUTES
+      }
+    });
+
+  } catch (error) {
+    console.error('Claim queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/models/admin/:id/claim - Claim a model or renew the lease on it (Moderator/Admin)
+router.post('/:id/claim', async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid model ID format'
+      });
+    }
+
+    const model = await Model.findOne({ _id: req.params.id, status: 'pending' }).select('_id');
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending model not found'
+      });
+    }
+
+    const claim = await claimModel(model._id, req.user._id);
+    if (!claim) {
+      return res.status(409).json({
+        success: false,
+        message: 'Model is already claimed by another moderator'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Model claimed successfully',
+      data: { claim }
+    });
+
+  } catch (error) {
+    console.error('Claim model error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/models/admin/:id/claim - Release a claim; admins can release anyone's (Moderator/Admin)
+router.delete('/:id/claim', async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid model ID format'
+      });
+    }
+
+    const result = await releaseClaim(
+      req.params.id,
+      req.user.role === 'admin' ? undefined : req.user._id
+    );
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Claim not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Claim released successfully'
+    });
+
+  } catch (error) {
+    console.error('Release claim error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/models/admin/all - Get all models with any status (Moderator/Admin)
+router.get('/all', async (req, res) => {
+  try {
+    const { status, sort = 'newest' } = req.query;
+    const { error, value: page } = parsePagination(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (!ADMIN_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Must be one of: ${Object.keys(ADMIN_SORTS).join(', ')}`
+      });
+    }
+
+    if (status && !['all', ...MODEL_STATUSES].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be: all, pending, approved, or rejected'
+      });
+    }
+
+    const filter = {};
+    if (status && status !== 'all') {
+      filter.status = status;
+    }
+
+    const { items: models, pagination } = await paginateQuery(Model, {
+      filter,
+      sort: ADMIN_SORTS[sort],
+      sortKey: sort,
+      limit: page.limit,
+      cursor: page.cursor,
+      prepare: query => query.populate('uploadedBy', 'firstName lastName email')
+    });
+
+    res.json({
+      success: true,
+      data: {
+        models,
+        pagination: { ...pagination, sort }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get all models error:', error);
+
+    if (isInvalidCursorError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired cursor'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/models/admin/revisions - List model revisions (Moderator/Admin)
+router.get('/revisions', async (req, res) => {
+  try {
+    const { status = 'pending', sort = 'oldest' } = req.query;
+    const { error, value: page } = parsePagination(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (!['all', ...MODEL_STATUSES].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: all, ${MODEL_STATUSES.join(', ')}`
+      });
+    }
+
+    if (!ADMIN_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Must be one of: ${Object.keys(ADMIN_SORTS).join(', ')}`
+      });
+    }
+
+    const filter = status === 'all' ? {} : { status };
+
+    const { items: revisions, pagination } = await paginateQuery(ModelRevision, {
+      filter,
+      sort: ADMIN_SORTS[sort],
+      sortKey: sort,
+      limit: page.limit,
+      cursor: page.cursor,
+      prepare: query => query
+        .populate('model', 'name slug status')
+        .populate('submittedBy', 'firstName lastName email')
+        .populate('reviewedBy', 'firstName lastName')
+    });
+
+    res.json({
+      success: true,
+      data: {
+        revisions,
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('Get revisions error:', error);
+
+    if (isInvalidCursorError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired cursor'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/models/admin/revisions/:revisionId - Revision with its diff against the live model (Moderator/Admin)
+router.get('/revisions/:revisionId', async (req, res) => {
+  try {
+    if (!isValidId(req.params.revisionId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const revision = await ModelRevision.findById(req.params.revisionId)
+      .populate('submittedBy', 'firstName lastName email')
+      .populate('reviewedBy', 'firstName lastName');
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const model = await Model.findById(revision.model);
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model not found'
+      });
+    }
+
+    const live = snapshotModel(model);
+
+    res.json({
+      success: true,
+      data: {
+        revision,
+        live,
+        changes: diffSnapshots(live, revision.data)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /api/models/admin/revisions/:revisionId/status - Approve or reject a pending revision (Moderator/Admin)
+router.put('/revisions/:revisionId/status', async (req, res) => {
+  try {
+    const { error, value } = revisionStatusSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+    const { status } = value;
+
+    if (!isValidId(req.params.revisionId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const pending = await ModelRevision.findById(req.params.revisionId).select('model status');
+    if (!pending) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const model = await Model.findById(pending.model);
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model not found'
+      });
+    }
+
+    // Only one moderator can move the revision out of pending; anyone racing them gets a 409
+    const decision = status === 'rejected'
+      ? { $set: { status, reviewedBy: req.user._id, reviewedAt: new Date(), rejectionReason: value.rejectionReason } }
+      : { $set: { status, reviewedBy: req.user._id, reviewedAt: new Date() }, $unset: { rejectionReason: 1 } };
+    const revision = await ModelRevision.findOneAndUpdate(
+      { _id: pending._id, status: 'pending' },
+      decision,
+      { new: true }
+    );
+
+    if (!revision) {
+      const current = await ModelRevision.findById(pending._id).select('status');
+      return res.status(409).json({
+        success: false,
+        message: `Revision has already been ${current ? current.status : 'reviewed'}`
+      });
+    }
+
+    if (status === 'approved') {
+      try {
+        // The live version goes into the history before it is replaced. This
+        // happens only after the revision is claimed, so a moderator who lost
+        // the race above never writes history.
+        await recordLiveVersion(model, req.user._id, { except: revision._id });
+        await applySnapshot(model, revision.data);
+      } catch (applyError) {
+        // Put the revision back so it can be reviewed again
+        await ModelRevision.updateOne(
+          { _id: revision._id, status: 'approved' },
+          { $set: { status: 'pending' }, $unset: { reviewedBy: 1, reviewedAt: 1 } }
+        );
+        throw applyError;
+      }
+    } else {
+      await releaseImages(model, collectImageUrls(revision.data));
+    }
+
+    await logRevisionDecision(model, revision, {
+      actor: req.user,
+      trigger: `revision-${status}`,
+      reason: revision.rejectionReason
+    });
+
+    try {
+      await notifyRevisionDecision(model, revision);
+    } catch (notifyError) {
+      console.error('Revision notification error:', notifyError);
+    }
+
+    res.json({
+      success: true,
+      message: `Revision ${status} successfully`,
+      data: {
+        revision,
+        model
+      }
+    });
+
+  } catch (error) {
+    console.error('Update revision status error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Revision data is no longer valid',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/models/admin/:id/revisions/:revisionId/restore - Put an earlier approved version back live (Moderator/Admin)
+router.post('/:id/revisions/:revisionId/restore', async (req, res) => {
+  try {
+    if (!isValidId(req.params.id) || !isValidId(req.params.revisionId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const revision = await ModelRevision.findOne({
+      _id: req.params.revisionId,
+      model: req.params.id,
+      status: 'approved'
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const model = await Model.findById(req.params.id);
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model not found'
+      });
+    }
+
+    if (diffSnapshots(snapshotModel(model), revision.data).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This version is already live'
+      });
+    }
+
+    // Bumping the version makes the save fail if the model changed since it was
+    // loaded, e.g. through a concurrent restore. History is written only once
+    // the save went through, from the live version taken before it.
+    const live = snapshotModel(model);
+    model.increment();
+    await applySnapshot(model, revision.data);
+    await recordLiveVersion(model, req.user._id, { data: live });
+    const restored = await recordApprovedVersion(model, {
+      actor: req.user._id,
+      source: 'restore',
+      restoredFrom: revision._id
+    });
+    await logRevisionDecision(model, revision, { actor: req.user, trigger: 'restore' });
+
+    res.json({
+      success: true,
+      message: `Revision ${revision.number} restored successfully`,
+      data: {
+        revision: restored,
+        model
+      }
+    });
+
+  } catch (error) {
+    console.error('Restore revision error:', error);
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'The model was changed while restoring; reload it and try again'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,289 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { authenticateToken } = require('../middleware/auth');
+const { subscribe } = require('../services/notifications');
+const { preferencesSchema } = require('../validators/notifications');
+const { parsePagination, paginateQuery, isInvalidCursorError } = require('../utils/pagination');
+
+// Notification inbox of the signed-in user, mounted at /api/notifications
+const router = express.Router();
+
+// Proxies close idle connections, so the stream sends a comment this often
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+// How long browsers wait before reconnecting a dropped stream
+const STREAM_RETRY_MS = 5 * 1000;
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Remove the access_token parameter from a URL
+const stripQueryToken = (url) => {
+  const [path, query] = url.split('?');
+  if (query === undefined) {
+    return url;
+  }
+  const rest = query.split('&').filter(part => !part.startsWith('access_token='));
+  return rest.length > 0 ? `${path}?${rest.join('&')}` : path;
+};
+
+// EventSource cannot send headers, so the stream also accepts the access
+// token as an access_token query parameter. It is moved into the header and
+// scrubbed from the request URL so nothing downstream logs it.
+const acceptQueryToken = (req, res, next) => {
+  if (!req.headers['authorization'] && typeof req.query.access_token === 'string') {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+  }
+  delete req.query.access_token;
+  req.url = stripQueryToken(req.url);
+  req.originalUrl = stripQueryToken(req.originalUrl);
+  next();
+};
+
+// Why a stream's credentials no longer hold, or null while they do
+const getStreamEndReason = async (req) => {
+  if (req.authExpiresAt && req.authExpiresAt.getTime() <= Date.now()) {
+    return 'token-expired';
+  }
+  const session = await Session.findById(req.authSession._id).select('revokedAt expiresAt');
+  if (!session || !session.isActive()) {
+    return 'session-revoked';
+  }
+  return null;
+};
+
+// GET /api/notifications - Your notifications, newest first (Protected)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value: page } = parsePagination(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const filter = { user: req.user._id };
+    if (req.query.unread === 'true') {
+      filter.readAt = null;
+    }
+
+    const [{ items: notifications, pagination }, unreadCount] = await Promise.all([
+      paginateQuery(Notification, {
+        filter,
+        sort: [['createdAt', -1]],
+        sortKey: 'newest',
+        limit: page.limit,
+        cursor: page.cursor
+      }),
+      Notification.countDocuments({ user: req.user._id, readAt: null })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+
+    if (isInvalidCursorError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired cursor'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/notifications/stream - Live notifications as Server-Sent Events (Protected)
+router.get('/stream', acceptQueryToken, authenticateToken, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+    send('ready', { unreadCount });
+
+    const unsubscribe = subscribe(req.user._id, notification => send('notification', notification));
+    let heartbeat = null;
+    let stopped = false;
+    const stop = () => {
+      if (!stopped) {
+        stopped = true;
+        clearInterval(heartbeat);
+        unsubscribe();
+      }
+    };
+
+    // The stream outlives the token it was opened with, so the token and the
+    // session are checked again on every heartbeat. Once they no longer hold,
+    // an "end" event tells the client to reconnect with fresh credentials.
+    heartbeat = setInterval(async () => {
+      try {
+        const reason = await getStreamEndReason(req);
+        if (reason) {
+          send('end', { reason });
+          stop();
+          return res.end();
+        }
+        res.write(': heartbeat\n\n');
+      } catch (streamError) {
+        console.error('Notification stream check error:', streamError);
+      }
+    }, STREAM_HEARTBEAT_MS);
+
+    req.on('close', stop);
+
+  } catch (error) {
+    console.error('Notification stream error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/notifications/preferences - Notification types you receive (Protected)
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { preferences: req.user.notificationPreferences }
+    });
+
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /api/notifications/preferences - Turn notification types on or off (Protected)
+router.put('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = preferencesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const update = {};
+    Object.entries(value).forEach(([type, enabled]) => {
+      update[`notificationPreferences.${type}`] = enabled;
+    });
+
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true })
+      .select('notificationPreferences');
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: { preferences: user.notificationPreferences }
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /api/notifications/read-all - Mark all your notifications as read (Protected)
+router.put('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updated: result.modifiedCount }
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /api/notifications/:id/read - Mark a notification as read (Protected)
+router.put('/:id/read', authenticateToken, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    // Keep the time it was first read
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: { notification }
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
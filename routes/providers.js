@@ -0,0 +1,120 @@
+const express = require('express');
+const Model = require('../models/Model');
+const { summarizeModels } = require('../services/profiles');
+const { MODEL_SORTS } = require('../utils/modelFilters');
+const { paginateModels } = require('../utils/modelLookup');
+const { toProviderKey, groupByProvider } = require('../utils/providers');
+const { parsePagination, isInvalidCursorError } = require('../utils/pagination');
+
+// Provider pages, mounted at /api/providers. Providers are identified by their
+// normalized key, so "OpenAI", "Open AI" and "openai" are the same page.
+const router = express.Router();
+
+// GET /api/providers - Providers with approved models, most models first (Public)
+router.get('/', async (req, res) => {
+  try {
+    const providers = await Model.aggregate([
+      { $match: { status: 'approved' } },
+      ...groupByProvider(),
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        providers: providers.map(provider => ({
+          key: provider._id,
+          name: provider.name,
+          modelsCount: provider.count
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get providers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/providers/:provider - Approved models and totals of a provider (Public)
+router.get('/:provider', async (req, res) => {
+  try {
+    const { sort = 'trending' } = req.query;
+    const { error, value: page } = parsePagination(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (!MODEL_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Must be one of: ${Object.keys(MODEL_SORTS).join(', ')}`
+      });
+    }
+
+    const key = toProviderKey(req.params.provider);
+    const filter = { providerKey: key, status: 'approved' };
+    const stats = key ? await summarizeModels({ providerKey: key }) : null;
+
+    if (!stats || stats.modelsCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Provider not found'
+      });
+    }
+
+    const [spellings, categories, result] = await Promise.all([
+      Model.aggregate([
+        { $match: filter },
+        { $sortByCount: '$provider' }
+      ]),
+      Model.aggregate([
+        { $match: filter },
+        { $sortByCount: '$category' }
+      ]),
+      paginateModels(filter, sort, page)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        provider: {
+          key,
+          name: spellings[0]._id,
+          // Every spelling used in listings, most common first
+          aliases: spellings.map(entry => entry._id),
+          stats,
+          categories: categories.map(entry => ({ value: entry._id, count: entry.count }))
+        },
+        models: result.items,
+        pagination: { ...result.pagination, sort }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get provider error:', error);
+
+    if (isInvalidCursorError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired cursor'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,516 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const { authenticateToken, authenticateScoped, authorizeRoles } = require('../middleware/auth');
+const { rateLimit, userAccountKey } = require('../middleware/rateLimit');
+const { findModelByIdOrSlug, findApprovedModel } = require('../utils/modelLookup');
+const { reviewSchema, replySchema } = require('../validators/reviews');
+const { applyRatingChange } = require('../services/ratings');
+const { notifyNewReview, checkMilestone } = require('../services/notifications');
+const { parsePagination, paginateQuery, isInvalidCursorError } = require('../utils/pagination');
+
+// Mounted at /api/models/:id/reviews
+const router = express.Router({ mergeParams: true });
+
+// Reviews per user and network; see middleware/rateLimit.js
+const reviewLimit = rateLimit({
+  name: 'review',
+  windowSeconds: 60 * 60,
+  ipMax: 30,
+  accountMax: 20,
+  accountKey: userAccountKey,
+  message: 'Too many reviews. Please try again later.'
+});
+
+const SORT_OPTIONS = {
+  newest: [['createdAt', -1]],
+  oldest: [['createdAt', 1]],
+  helpful: [['helpfulCount', -1], ['createdAt', -1]],
+  highest: [['rating', -1], ['createdAt', -1]],
+  lowest: [['rating', 1], ['createdAt', -1]]
+};
+
+const sendModelNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Model not found'
+});
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// A model by ID or slug whatever its status, for removing content from models
+// that are no longer published
+const findAnyModel = async (idOrSlug) => {
+  const result = await findModelByIdOrSlug(idOrSlug);
+  return result ? result.model : null;
+};
+
+const sendInvalidReviewId = (res) => res.status(400).json({
+  success: false,
+  message: 'Invalid review ID format'
+});
+
+// GET /api/models/:id/reviews - List reviews of a model (Public)
+router.get('/', async (req, res) => {
+  try {
+    const { sort = 'newest' } = req.query;
+    const { error, value: page } = parsePagination(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (!SORT_OPTIONS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`
+      });
+    }
+
+    const model = await findApprovedModel(req.params.id);
+    if (!model) {
+      return sendModelNotFound(res);
+    }
+
+    const { items: reviews, pagination } = await paginateQuery(Review, {
+      filter: { model: model._id },
+      sort: SORT_OPTIONS[sort],
+      sortKey: sort,
+      limit: page.limit,
+      cursor: page.cursor,
+      prepare: query => query.populate('user', 'firstName lastName')
+    });
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        summary: {
+          rating: model.rating,
+          reviewsCount: model.reviewsCount
+        },
+        pagination: { ...pagination, sort }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reviews error:', error);
+
+    if (isInvalidCursorError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired cursor'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/models/:id/reviews - Review a model (Protected)
+router.post('/', authenticateScoped('reviews:write'), reviewLimit, async (req, res) => {
+  try {
+    const { error, value } = reviewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const model = await findApprovedModel(req.params.id);
+    if (!model) {
+      return sendModelNotFound(res);
+    }
+
+    if (model.uploadedBy && model.uploadedBy.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot review your own model'
+      });
+    }
+
+    let review;
+    try {
+      review = await Review.create({
+        ...value,
+        model: model._id,
+        user: req.user._id
+      });
+    } catch (createError) {
+      if (createError.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'You have already reviewed this model'
+        });
+      }
+      throw createError;
+    }
+
+    const ratings = await applyRatingChange(model._id, { ratingDelta: review.rating, countDelta: 1 });
+
+    // The review is saved, so a failed notification must not fail the request
+    try {
+      await notifyNewReview(model, review, req.user);
+      if (ratings) {
+        await checkMilestone(model._id, 'reviewsCount', ratings.reviewsCount);
+      }
+    } catch (notifyError) {
+      console.error('Review notification error:', notifyError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted successfully',
+      data: { review }
+    });
+
+  } catch (error) {
+    console.error('Create review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /api/models/:id/reviews - Edit your review of a model (Protected)
+router.put('/', authenticateScoped('reviews:write'), async (req, res) => {
+  try {
+    const { error, value } = reviewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const model = await findApprovedModel(req.params.id);
+    if (!model) {
+      return sendModelNotFound(res);
+    }
+
+    // Returns the review as it was before the update, so the rating delta is exact
+    const previous = await Review.findOneAndUpdate(
+      { model: model._id, user: req.user._id },
+      { $set: { ...value, editedAt: new Date() } },
+      { new: false, runValidators: true }
+    );
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not reviewed this model yet'
+      });
+    }
+
+    if (previous.rating !== value.rating) {
+      await applyRatingChange(model._id, { ratingDelta: value.rating - previous.rating });
+    }
+
+    const review = await Review.findById(previous._id);
+
+    res.json({
+      success: true,
+      message: 'Review updated successfully',
+      data: { review }
+    });
+
+  } catch (error) {
+    console.error('Update review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/models/:id/reviews - Delete your review of a model (Protected)
+router.delete('/', authenticateScoped('reviews:write'), async (req, res) => {
+  try {
+    // Reviews can still be removed after the model is unpublished
+    const model = await findAnyModel(req.params.id);
+    if (!model) {
+      return sendModelNotFound(res);
+    }
+
+    const review = await Review.findOneAndDelete({ model: model._id, user: req.user._id });
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not reviewed this model yet'
+      });
+    }
+
+    await applyRatingChange(model._id, { ratingDelta: -review.rating, countDelta: -1 });
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/models/:id/reviews/:reviewId - Remove any review (Moderator/Admin)
+router.delete('/:reviewId', authenticateToken, authorizeRoles('moderator', 'admin'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.reviewId)) {
+      return sendInvalidReviewId(res);
+    }
+
+    const model = await findAnyModel(req.params.id);
+    if (!model) {
+      return sendModelNotFound(res);
+    }
+
+    const review = await Review.findOneAndDelete({
+      _id: req.params.reviewId,
+      model: model._id
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    await applyRatingChange(review.model, { ratingDelta: -review.rating, countDelta: -1 });
+
+    res.json({
+      success: true,
+      message: 'Review removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/models/:id/reviews/:reviewId/helpful - Mark a review as helpful (Protected)
+router.post('/:reviewId/helpful', authenticateToken, async (req, res) => {
+  try {
+    if (!isValidId(req.params.reviewId)) {
+      return sendInvalidReviewId(res);
+    }
+
+    const model = await findApprovedModel(req.params.id);
+    if (!model) {
+      return sendModelNotFound(res);
+    }
+
+    const review = await Review.findOne({ _id: req.params.reviewId, model: model._id });
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.user.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot vote on your own review'
+      });
+    }
+
+    // Only counts the vote if this user has not voted already
+    await Review.updateOne(
+      { _id: review._id, helpfulVoters: { $ne: req.user._id } },
+      { $addToSet: { helpfulVoters: req.user._id }, $inc: { helpfulCount: 1 } }
+    );
+
+    const updated = await Review.findById(review._id);
+
+    res.json({
+      success: true,
+      message: 'Review marked as helpful',
+      data: { helpfulCount: updated.helpfulCount }
+    });
+
+  } catch (error) {
+    console.error('Helpful vote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/models/:id/reviews/:reviewId/helpful - Withdraw a helpful vote (Protected)
+router.delete('/:reviewId/helpful', authenticateToken, async (req, res) => {
+  try {
+    if (!isValidId(req.params.reviewId)) {
+      return sendInvalidReviewId(res);
+    }
+
+    // Votes can still be withdrawn after the model is unpublished
+    const model = await findAnyModel(req.params.id);
+    if (!model) {
+      return sendModelNotFound(res);
+    }
+
+    await Review.updateOne(
+      { _id: req.params.reviewId, model: model._id, helpfulVoters: req.user._id },
+      { $pull: { helpfulVoters: req.user._id }, $inc: { helpfulCount: -1 } }
+    );
+
+    const review = await Review.findOne({ _id: req.params.reviewId, model: model._id });
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Helpful vote removed',
+      data: { helpfulCount: review.helpfulCount }
+    });
+
+  } catch (error) {
+    console.error('Remove helpful vote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /api/models/:id/reviews/:reviewId/reply - Reply to a review (Protected - model owner only)
+router.put('/:reviewId/reply', authenticateScoped('reviews:write'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.reviewId)) {
+      return sendInvalidReviewId(res);
+    }
+
+    const { error, value } = replySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const model = await findApprovedModel(req.params.id);
+    if (!model) {
+      return sendModelNotFound(res);
+    }
+
+    if (!model.uploadedBy || !model.uploadedBy.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner of this model can reply to reviews'
+      });
+    }
+
+    const review = await Review.findOne({ _id: req.params.reviewId, model: model._id });
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const now = new Date();
+    review.ownerReply = {
+      text: value.text,
+      repliedBy: req.user._id,
+      createdAt: review.ownerReply && review.ownerReply.createdAt ? review.ownerReply.createdAt : now,
+      updatedAt: now
+    };
+    await review.save();
+
+    res.json({
+      success: true,
+      message: 'Reply saved successfully',
+      data: { review }
+    });
+
+  } catch (error) {
+    console.error('Reply to review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/models/:id/reviews/:reviewId/reply - Remove your reply (Protected - model owner only)
+router.delete('/:reviewId/reply', authenticateScoped('reviews:write'), async (req, res) => {
+  try {
+    if (!isValidId(req.params.reviewId)) {
+      return sendInvalidReviewId(res);
+    }
+
+    // Replies can still be removed after the model is unpublished
+    const model = await findAnyModel(req.params.id);
+    if (!model) {
+      return sendModelNotFound(res);
+    }
+
+    if (!model.uploadedBy || !model.uploadedBy.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner of this model can manage replies'
+      });
+    }
+
+    const review = await Review.findOneAndUpdate(
+      { _id: req.params.reviewId, model: model._id },
+      { $unset: { ownerReply: 1 } },
+      { new: true }
+    );
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reply removed successfully',
+      data: { review }
+    });
+
+  } catch (error) {
+    console.error('Remove reply error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
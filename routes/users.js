@@ -0,0 +1,114 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { optionalAuth } = require('../middleware/auth');
+const { buildPublicProfile } = require('../services/profiles');
+const { MODEL_SORTS } = require('../utils/modelFilters');
+const { paginateModels } = require('../utils/modelLookup');
+const { parsePagination, isInvalidCursorError } = require('../utils/pagination');
+
+// Public uploader profiles, mounted at /api/users
+const router = express.Router();
+
+// Load the user of a public profile. Hidden profiles look like missing ones to
+// everyone but their owner.
+const loadProfileUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const user = mongoose.Types.ObjectId.isValid(id)
+      ? await User.findById(id).select('firstName lastName profile createdAt')
+      : null;
+
+    const isOwner = Boolean(user && req.user && req.user._id.equals(user._id));
+    if (!user || (user.profile && user.profile.isPublic === false && !isOwner)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found'
+      });
+    }
+
+    req.profileUser = user;
+    next();
+  } catch (error) {
+    console.error('Load profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// GET /api/users/:id/profile - Public profile of an uploader (Public)
+router.get('/:id/profile', optionalAuth, loadProfileUser, async (req, res) => {
+  try {
+    const profile = await buildPublicProfile(req.profileUser);
+
+    res.json({
+      success: true,
+      data: { profile }
+    });
+
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/users/:id/models - Approved models of an uploader (Public)
+router.get('/:id/models', optionalAuth, loadProfileUser, async (req, res) => {
+  try {
+    const { sort = 'newest' } = req.query;
+    const { error, value: page } = parsePagination(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (!MODEL_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Must be one of: ${Object.keys(MODEL_SORTS).join(', ')}`
+      });
+    }
+
+    const { items: models, pagination } = await paginateModels(
+      { uploadedBy: req.profileUser._id, status: 'approved' },
+      sort,
+      page
+    );
+
+    res.json({
+      success: true,
+      data: {
+        models,
+        pagination: { ...pagination, sort }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get profile models error:', error);
+
+    if (isInvalidCursorError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired cursor'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,331 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { authenticateToken } = require('../middleware/auth');
+const { WEBHOOK_EVENTS, generateWebhookSecret, sendTestEvent } = require('../services/webhooks');
+const { webhookSchema, webhookUpdateSchema } = require('../validators/webhooks');
+const { parsePagination, paginateQuery, isInvalidCursorError } = require('../utils/pagination');
+
+// Webhooks of the signed-in user, mounted at /api/webhooks
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const MAX_WEBHOOKS_PER_USER = parseInt(process.env.MAX_WEBHOOKS_PER_USER, 10) || 10;
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const findOwnWebhook = (id, userId) => {
+  if (!isValidId(id)) {
+    return null;
+  }
+  return Webhook.findOne({ _id: id, owner: userId });
+};
+
+// GET /api/webhooks - Your webhooks (Protected)
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ owner: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        webhooks,
+        events: WEBHOOK_EVENTS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/webhooks - Register a webhook (Protected)
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = webhookSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const count = await Webhook.countDocuments({ owner: req.user._id });
+    if (count >= MAX_WEBHOOKS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You cannot have more than ${MAX_WEBHOOKS_PER_USER} webhooks`
+      });
+    }
+
+    const secret = generateWebhookSecret();
+    const webhook = await Webhook.create({ ...value, secret, owner: req.user._id });
+
+    // The secret is only ever shown here and when it is rotated
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      data: { webhook, secret }
+    });
+
+  } catch (error) {
+    console.error('Create webhook error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/webhooks/:id - Get one of your webhooks (Protected)
+router.get('/:id', async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req.params.id, req.user._id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { webhook }
+    });
+
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// PUT /api/webhooks/:id - Change the URL, events, description or active flag of a webhook (Protected)
+router.put('/:id', async (req, res) => {
+  try {
+    const { error, value } = webhookUpdateSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const webhook = await findOwnWebhook(req.params.id, req.user._id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    webhook.set(value);
+    await webhook.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: { webhook }
+    });
+
+  } catch (error) {
+    console.error('Update webhook error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// DELETE /api/webhooks/:id - Delete a webhook and its delivery log (Protected)
+router.delete('/:id', async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req.params.id, req.user._id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    await webhook.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/webhooks/:id/rotate-secret - Replace the signing secret (Protected)
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req.params.id, req.user._id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const secret = generateWebhookSecret();
+    webhook.secret = secret;
+    await webhook.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook secret rotated',
+      data: { webhook, secret }
+    });
+
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/webhooks/:id/test - Send a test event right away (Protected)
+router.post('/:id/test', async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req.params.id, req.user._id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const delivery = await sendTestEvent(webhook);
+
+    // The request itself worked even when the endpoint did not accept the event
+    res.json({
+      success: true,
+      message: delivery.status === 'succeeded' ? 'Test event delivered' : 'Test event could not be delivered',
+      data: { delivery }
+    });
+
+  } catch (error) {
+    console.error('Send test webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/webhooks/:id/deliveries - Delivery log of a webhook, newest first (Protected)
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const { error, value: page } = parsePagination(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${DELIVERY_STATUSES.join(', ')}`
+      });
+    }
+
+    const webhook = await findOwnWebhook(req.params.id, req.user._id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const filter = { webhook: webhook._id };
+    if (status) {
+      filter.status = status;
+    }
+
+    const { items: deliveries, pagination } = await paginateQuery(WebhookDelivery, {
+      filter,
+      sort: [['createdAt', -1]],
+      sortKey: 'newest',
+      limit: page.limit,
+      cursor: page.cursor,
+      prepare: query => query.select('-lockedUntil')
+    });
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+
+    if (isInvalidCursorError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired cursor'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
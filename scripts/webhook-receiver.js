@@ -0,0 +1,72 @@
+// Minimal webhook receiver for trying out deliveries locally.
+//
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js
+//
+// Register http://localhost:4000/webhook as a webhook URL, then use
+// POST /api/webhooks/:id/test or change one of your models. Every request is
+// printed with the result of the signature check; requests that fail it get
+// 401. Set WEBHOOK_RECEIVER_STATUS (e.g. 500) to answer with an error and
+// watch the retries.
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.WEBHOOK_RECEIVER_PORT, 10) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+const STATUS = parseInt(process.env.WEBHOOK_RECEIVER_STATUS, 10) || 200;
+// Reject signatures older than this, to guard against replayed requests
+const TOLERANCE_SECONDS = 5 * 60;
+
+// Check an "X-Sochai-Signature: t=<timestamp>,v1=<hex>" header against the raw body
+const verifySignature = (header, body, secret) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) {
+    return 'missing signature';
+  }
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+    return 'timestamp outside tolerance';
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest();
+  const received = Buffer.from(parts.v1, 'hex');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return 'signature mismatch';
+  }
+
+  return 'valid';
+};
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const signature = SECRET
+      ? verifySignature(req.headers['x-sochai-signature'], body, SECRET)
+      : 'not checked (WEBHOOK_SECRET is not set)';
+
+    console.log(`\n${new Date().toISOString()} ${req.method} ${req.url}`);
+    console.log(`Event:     ${req.headers['x-sochai-event']}`);
+    console.log(`Delivery:  ${req.headers['x-sochai-delivery']}`);
+    console.log(`Signature: ${signature}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.log(body);
+    }
+
+    // A real receiver must refuse requests it cannot verify
+    if (SECRET && signature !== 'valid') {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: signature }));
+    }
+
+    res.writeHead(STATUS, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: true }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT} (answering ${STATUS})`);
+});
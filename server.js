@@ -6,6 +6,12 @@ require('dotenv').config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy (e.g. Render), set TRUST_PROXY so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY === 'true' : hops);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -26,6 +32,20 @@ const checkDatabaseConnection = (req, res, next) => {
 // Import routes
 const authRoutes = require('./routes/auth');
 const modelRoutes = require('./routes/models');
+const adminRoutes = require('./routes/admin');
+const meRoutes = require('./routes/me');
+const collectionRoutes = require('./routes/collections');
+const notificationRoutes = require('./routes/notifications');
+const webhookRoutes = require('./routes/webhooks');
+const userRoutes = require('./routes/users');
+const providerRoutes = require('./routes/providers');
+const apiKeyRoutes = require('./routes/apiKeys');
+const docsRoutes = require('./routes/docs');
+const { bootstrapAdmins } = require('./utils/adminBootstrap');
+const { startTrendingJob } = require('./services/trending');
+const { startWebhookWorker } = require('./services/webhooks');
+const { getStorage } = require('./services/storage');
+const Model = require('./models/Model');
 
 // MongoDB Connection
 const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/sochai-backend';
@@ -51,6 +71,39 @@ app.use('/api/auth', checkDatabaseConnection, authRoutes);
 // Model routes (protected with database connection check)
 app.use('/api/models', checkDatabaseConnection, modelRoutes);
 
+// Admin routes (protected with database connection check)
+app.use('/api/admin', checkDatabaseConnection, adminRoutes);
+
+// Routes about the signed-in user (protected with database connection check)
+app.use('/api/me', checkDatabaseConnection, meRoutes);
+
+// Collection routes (protected with database connection check)
+app.use('/api/collections', checkDatabaseConnection, collectionRoutes);
+
+// Notification routes (protected with database connection check)
+app.use('/api/notifications', checkDatabaseConnection, notificationRoutes);
+
+// Webhook routes (protected with database connection check)
+app.use('/api/webhooks', checkDatabaseConnection, webhookRoutes);
+
+// Public profile routes (protected with database connection check)
+app.use('/api/users', checkDatabaseConnection, userRoutes);
+
+// Provider routes (protected with database connection check)
+app.use('/api/providers', checkDatabaseConnection, providerRoutes);
+
+// API key routes (protected with database connection check)
+app.use('/api/api-keys', checkDatabaseConnection, apiKeyRoutes);
+
+// API documentation (no database needed)
+app.use('/api', docsRoutes);
+
+// Uploaded images, when the storage backend serves its own files
+const storage = getStorage();
+if (storage.serve) {
+  app.use(storage.publicPath, storage.serve());
+}
+
 // Simple POST API that returns "Hello World"
 app.post('/api/hello', (req, res) => {
   res.json({ 
@@ -74,21 +127,36 @@ const startServer = async () => {
   try {
     await mongoose.connect(mongoURI, mongoOptions);
     console.log('Connected to MongoDB successfully');
+
+    // Grant the admin role to accounts listed in ADMIN_EMAILS
+    await bootstrapAdmins();
+
+    // Fill in search fields for models created before search indexing existed
+    const backfilled = await Model.backfillSearchFields();
+    if (backfilled > 0) {
+      console.log(`Indexed ${backfilled} model(s) for search`);
+    }
+
+    // Fill in normalized provider names for models created before provider pages existed
+    const providerKeys = await Model.backfillProviderKeys();
+    if (providerKeys > 0) {
+      console.log(`Added provider keys to ${providerKeys} model(s)`);
+    }
+
+    // Periodically recompute trending scores from recent engagement
+    if (process.env.TRENDING_JOB_ENABLED !== 'false') {
+      startTrendingJob();
+    }
+
+    // Deliver queued webhook events and retry failed ones
+    if (process.env.WEBHOOK_WORKER_ENABLED !== 'false') {
+      startWebhookWorker();
+    }
     
     // Start server only after database connection is established
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
-      console.log(`API endpoints:`);
-      console.log(`- GET  /api/health`);
-      console.log(`- POST /api/hello`);
-      console.log(`- POST /api/auth/signup`);
-      console.log(`- POST /api/auth/login`);
-      console.log(`- POST /api/models (protected)`);
-      console.log(`- GET  /api/models`);
-      console.log(`- GET  /api/models/my-models (protected)`);
-      console.log(`- GET  /api/models/:id`);
-      console.log(`- PUT  /api/models/:id (protected)`);
-      console.log(`- DELETE /api/models/:id (protected)`);
+      console.log(`API documentation: http://localhost:${PORT}/api/docs`);
     });
   } catch (error) {
     console.error('Failed to connect to MongoDB:', error);
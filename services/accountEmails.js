@@ -0,0 +1,44 @@
+const UserToken = require('../models/UserToken');
+const { sendMail } = require('./mailer');
+const {
+  verificationEmail,
+  passwordResetEmail,
+  emailChangeEmail,
+  emailChangedNotice,
+  accountLockedEmail
+} = require('./mailer/templates');
+
+const EMAIL_VERIFICATION_TTL_MINUTES = parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES, 10) || 24 * 60;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+// Issue a fresh verification token and email it to the user
+const sendVerificationEmail = async (user) => {
+  const token = await UserToken.issue(user._id, 'email-verification', EMAIL_VERIFICATION_TTL_MINUTES);
+  await sendMail(verificationEmail(user, token, EMAIL_VERIFICATION_TTL_MINUTES));
+};
+
+// Issue a fresh password reset token and email it to the user
+const sendPasswordResetEmail = async (user) => {
+  const token = await UserToken.issue(user._id, 'password-reset', PASSWORD_RESET_TTL_MINUTES);
+  await sendMail(passwordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES));
+};
+
+// Issue an email-change token and send it to the user's pending address
+const sendEmailChangeEmail = async (user) => {
+  const token = await UserToken.issue(user._id, 'email-change', EMAIL_VERIFICATION_TTL_MINUTES);
+  await sendMail(emailChangeEmail(user, token, EMAIL_VERIFICATION_TTL_MINUTES));
+};
+
+// Let the previous address know the account moved to a new one
+const sendEmailChangedNotice = (user, previousEmail) => sendMail(emailChangedNotice(user, previousEmail));
+
+// Tell the owner that failed logins locked their account
+const sendAccountLockedEmail = (user, attempts, lockMinutes) => sendMail(accountLockedEmail(user, attempts, lockMinutes));
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendEmailChangeEmail,
+  sendEmailChangedNotice,
+  sendAccountLockedEmail
+};
@@ -0,0 +1,152 @@
+const Model = require('../models/Model');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const Review = require('../models/Review');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const ModelEvent = require('../models/ModelEvent');
+const ModelRevision = require('../models/ModelRevision');
+const ModerationClaim = require('../models/ModerationClaim');
+const Bookmark = require('../models/Bookmark');
+const Collection = require('../models/Collection');
+const Notification = require('../models/Notification');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { deleteModel } = require('./modelDeletion');
+const { collectImageUrls, releaseImages, removeUserImages } = require('./media');
+const { recalculateModelRating } = require('./ratings');
+
+// What happens to the models of a deleted account:
+//   transfer   all models move to another user
+//   anonymize  approved models stay listed without an uploader; the rest are deleted
+//   delete     all models are deleted
+const MODEL_ACTIONS = ['transfer', 'anonymize', 'delete'];
+
+const handleUploadedModels = async (user, action, recipient) => {
+  const models = await Model.find({ uploadedBy: user._id });
+
+  if (action === 'transfer') {
+    const modelIds = models.map(model => model._id);
+    await Model.updateMany({ _id: { $in: modelIds } }, { $set: { uploadedBy: recipient._id } });
+    await User.updateOne(
+      { _id: recipient._id },
+      { $addToSet: { uploadedModels: { $each: modelIds } } }
+    );
+    return { transferred: modelIds.length, anonymized: 0, deleted: 0 };
+  }
+
+  let anonymized = 0;
+  let deleted = 0;
+  for (const model of models) {
+    if (action === 'anonymize' && model.status === 'approved') {
+      // Nobody is left to follow up on a pending edit
+      const pending = await ModelRevision.findOneAndDelete({ model: model._id, status: 'pending' });
+      if (pending) {
+        await releaseImages(model, collectImageUrls(pending.data));
+      }
+
+      await Model.updateOne(
+        { _id: model._id },
+        { $unset: { uploadedBy: 1 }, $set: { uploaderDeleted: true } }
+      );
+      anonymized++;
+    } else {
+      await deleteModel(model, user);
+      deleted++;
+    }
+  }
+  return { transferred: 0, anonymized, deleted };
+};
+
+// Delete an account and everything it owns. `recipient` is the user receiving
+// the models when `modelAction` is "transfer". The moderation log keeps
+// referring to the account's ID, as it is append-only.
+const deleteAccount = async (user, { modelAction, recipient }) => {
+  const models = await handleUploadedModels(user, modelAction, recipient);
+
+  // Reviews the user wrote, and the ratings they counted towards
+  const reviewedModels = await Review.find({ user: user._id }).distinct('model');
+  await Review.deleteMany({ user: user._id });
+  for (const modelId of reviewedModels) {
+    await recalculateModelRating(modelId);
+  }
+
+  await Review.updateMany(
+    { helpfulVoters: user._id },
+    { $pull: { helpfulVoters: user._id }, $inc: { helpfulCount: -1 } }
+  );
+  // Replies stay with the model, but no longer point at the account
+  await Review.updateMany(
+    { 'ownerReply.repliedBy': user._id },
+    { $unset: { 'ownerReply.repliedBy': 1 } }
+  );
+
+  const webhookIds = await Webhook.find({ owner: user._id }).distinct('_id');
+  await WebhookDelivery.deleteMany({ webhook: { $in: webhookIds } });
+  await Webhook.deleteMany({ owner: user._id });
+
+  await ApiKey.deleteMany({ owner: user._id });
+  await Bookmark.deleteMany({ user: user._id });
+  await Collection.deleteMany({ owner: user._id });
+  await Notification.deleteMany({ user: user._id });
+  await ModerationClaim.deleteMany({ moderator: user._id });
+  // Engagement stays counted, but is no longer tied to the account
+  await ModelEvent.updateMany({ user: user._id }, { $unset: { user: 1 } });
+  await UserToken.deleteMany({ user: user._id });
+  await Session.deleteMany({ user: user._id });
+  await removeUserImages(user._id);
+  await User.deleteOne({ _id: user._id });
+
+  return { models };
+};
+
+// Everything stored about a user, for the "export my data" download
+const exportAccountData = async (user) => {
+  const [
+    profile,
+    sessions,
+    models,
+    revisions,
+    reviews,
+    helpfulVotes,
+    bookmarks,
+    collections,
+    notifications,
+    webhooks,
+    apiKeys,
+    engagement
+  ] = await Promise.all([
+    User.findById(user._id).select('-password').lean(),
+    Session.find({ user: user._id })
+      .select('userAgent ipAddress createdAt lastUsedAt expiresAt revokedAt revokedReason')
+      .lean(),
+    Model.find({ uploadedBy: user._id }).lean(),
+    ModelRevision.find({ submittedBy: user._id }).populate('model', 'name slug').lean(),
+    Review.find({ user: user._id }).populate('model', 'name slug').lean(),
+    Review.find({ helpfulVoters: user._id }).select('model title').populate('model', 'name slug').lean(),
+    Bookmark.find({ user: user._id }).populate('model', 'name slug').lean(),
+    Collection.find({ owner: user._id }).populate('items.model', 'name slug').lean(),
+    Notification.find({ user: user._id }).select('-dedupeKey').lean(),
+    Webhook.find({ owner: user._id }).lean(),
+    ApiKey.find({ owner: user._id }).lean(),
+    ModelEvent.find({ user: user._id }).select('model type createdAt').populate('model', 'name slug').lean()
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    sessions,
+    models,
+    revisions,
+    reviews,
+    helpfulVotes,
+    bookmarks,
+    collections,
+    notifications,
+    webhooks,
+    apiKeys,
+    engagement
+  };
+};
+
+module.exports = { MODEL_ACTIONS, deleteAccount, exportAccountData };
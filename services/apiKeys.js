@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+
+// What a key may be used for; see models/ApiKey.js
+const API_KEY_SCOPES = ApiKey.SCOPES;
+
+// Every key starts with this, so it can be told apart from a session token
+const API_KEY_PREFIX = 'sk_';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const isApiKey = (value) => typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+
+// Create a key. Returns { apiKey, key }, where key is the raw key that is never stored.
+const issueApiKey = async (ownerId, { name, scopes, expiresAt }) => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await ApiKey.create({
+    owner: ownerId,
+    name,
+    scopes,
+    expiresAt,
+    keyHash: hashKey(key),
+    keyPreview: key.slice(0, API_KEY_PREFIX.length + 6)
+  });
+  return { apiKey, key };
+};
+
+// Resolve the user and key record behind a raw key and count the use.
+// Returns { user, apiKey }, or { error } with the reason the key was rejected.
+const resolveApiKey = async (key, ipAddress) => {
+  const apiKey = await ApiKey.findOne({
+    keyHash: hashKey(key),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+  if (!apiKey) {
+    return { error: 'Invalid, expired or revoked API key' };
+  }
+
+  const user = await User.findById(apiKey.owner).select('-password');
+  if (!user) {
+    return { error: 'Invalid API key - user not found' };
+  }
+
+  await ApiKey.updateOne({ _id: apiKey._id }, {
+    $set: { lastUsedAt: new Date(), lastUsedIp: ipAddress },
+    $inc: { usageCount: 1 }
+  });
+
+  return { user, apiKey };
+};
+
+module.exports = { API_KEY_SCOPES, API_KEY_PREFIX, isApiKey, issueApiKey, resolveApiKey };
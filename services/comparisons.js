@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const Model = require('../models/Model');
+const ComparisonPair = require('../models/ComparisonPair');
+const ComparisonEvent = require('../models/ComparisonEvent');
+const { getActorKey } = require('./eventTracker');
+const { MODEL_CARD_FIELDS } = require('../utils/modelLookup');
+
+const COMPARE_MIN_MODELS = 2;
+const COMPARE_MAX_MODELS = 4;
+const COMPARISON_DEDUPE_MINUTES = parseInt(process.env.COMPARISON_DEDUPE_MINUTES, 10) || 24 * 60;
+
+// Single-value fields, compared as they are
+const ATTRIBUTE_FIELDS = [
+  'category',
+  'provider',
+  'pricing',
+  'modelType',
+  'isApiAvailable',
+  'isOpenSource',
+  'rating',
+  'reviewsCount'
+];
+
+// List fields, split into what all models share and what only one model has
+const LIST_FIELDS = ['capabilities', 'features', 'bestFor'];
+
+// Features and "best for" entries are free text, so match them loosely
+const normalize = (value) => String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+
+const compareList = (models, field) => {
+  const keysPerModel = models.map(model => new Set((model[field] || []).map(normalize)));
+
+  const shared = [];
+  const seen = new Set();
+  (models[0][field] || []).forEach(value => {
+    const key = normalize(value);
+    if (!seen.has(key) && keysPerModel.every(keys => keys.has(key))) {
+      seen.add(key);
+      shared.push(value);
+    }
+  });
+
+  return {
+    field,
+    shared,
+    values: models.map((model, index) => {
+      const values = model[field] || [];
+      return {
+        values,
+        // Only this model has them
+        unique: values.filter(value => {
+          const key = normalize(value);
+          return keysPerModel.every((keys, other) => other === index || !keys.has(key));
+        })
+      };
+    })
+  };
+};
+
+// Aligned comparison of 2-4 models: every row has one value per model, in the
+// order the models were requested
+const buildComparison = (models) => {
+  const cardFields = MODEL_CARD_FIELDS.split(' ');
+
+  return {
+    models: models.map(model => {
+      const card = { id: model._id };
+      cardFields.forEach(field => {
+        card[field] = model[field];
+      });
+      return card;
+    }),
+    attributes: ATTRIBUTE_FIELDS.map(field => {
+      const values = models.map(model => model[field] === undefined ? null : model[field]);
+      return {
+        field,
+        values,
+        same: values.every(value => value === values[0])
+      };
+    }),
+    lists: LIST_FIELDS.map(field => compareList(models, field))
+  };
+};
+
+const sortIds = (ids) => ids.map(id => id.toString()).sort();
+
+// Count each pair in a comparison once per actor and de-duplication window
+const recordComparison = async (models, req) => {
+  const ids = sortIds(models.map(model => model._id));
+  const windowMs = COMPARISON_DEDUPE_MINUTES * 60 * 1000;
+  const bucket = Math.floor(Date.now() / windowMs);
+  const dedupeKey = crypto.createHash('sha256')
+    .update(`${ids.join(',')}:${getActorKey(req)}:${bucket}`)
+    .digest('hex');
+
+  try {
+    await ComparisonEvent.create({ dedupeKey });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { recorded: false };
+    }
+    throw error;
+  }
+
+  const now = new Date();
+  const operations = [];
+  for (let i = 0; i < ids.length; i++) {
+    for (let j = i + 1; j < ids.length; j++) {
+      operations.push({
+        updateOne: {
+          filter: { a: ids[i], b: ids[j] },
+          update: { $inc: { count: 1 }, $set: { lastComparedAt: now } },
+          upsert: true
+        }
+      });
+    }
+  }
+  await ComparisonPair.bulkWrite(operations, { ordered: false });
+
+  return { recorded: true };
+};
+
+// Models most often compared with the given one. Pairs whose other model is
+// no longer approved are skipped.
+const getCommonlyCompared = async (modelId, limit = 5) => {
+  const pairs = await ComparisonPair.find({ $or: [{ a: modelId }, { b: modelId }] })
+    .sort({ count: -1, lastComparedAt: -1 })
+    .limit(limit * 3)
+    .lean();
+
+  const otherIds = pairs.map(pair => (pair.a.equals(modelId) ? pair.b : pair.a));
+  const models = await Model.find({ _id: { $in: otherIds }, status: 'approved' })
+    .select(MODEL_CARD_FIELDS);
+  const modelsById = new Map(models.map(model => [model._id.toString(), model]));
+
+  return pairs
+    .map((pair, index) => {
+      const model = modelsById.get(otherIds[index].toString());
+      return model ? { model, count: pair.count } : null;
+    })
+    .filter(Boolean)
+    .slice(0, limit);
+};
+
+module.exports = {
+  COMPARE_MIN_MODELS,
+  COMPARE_MAX_MODELS,
+  buildComparison,
+  recordComparison,
+  getCommonlyCompared
+};
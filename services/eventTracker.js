@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const Model = require('../models/Model');
+const ModelEvent = require('../models/ModelEvent');
+const ModelDailyStat = require('../models/ModelDailyStat');
+const { checkMilestone } = require('./notifications');
+
+const EVENT_TYPES = ['view', 'click', 'install'];
+
+const COUNTER_FIELDS = {
+  view: 'viewsCount',
+  click: 'clicksCount',
+  install: 'installsCount'
+};
+
+const ROLLUP_FIELDS = {
+  view: 'views',
+  click: 'clicks',
+  install: 'installs'
+};
+
+// An event of the same type by the same actor within this many minutes of the
+// last counted one counts once (a sliding window, not fixed buckets)
+const DEDUPE_WINDOW_MINUTES = {
+  view: parseInt(process.env.EVENT_DEDUPE_MINUTES_VIEW, 10) || 30,
+  click: parseInt(process.env.EVENT_DEDUPE_MINUTES_CLICK, 10) || 30,
+  install: parseInt(process.env.EVENT_DEDUPE_MINUTES_INSTALL, 10) || 24 * 60
+};
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Identify who triggered an event: the signed-in user, or else a hash of the
+// client address and user agent. Nothing the client can freely vary per request
+// (such as a fingerprint it reports itself) is part of the key.
+const getActorKey = (req) => {
+  if (req.user) {
+    return `user:${req.user._id}`;
+  }
+  return `anon:${hash([req.ip, req.get('user-agent') || ''].join('|'))}`;
+};
+
+const startOfUtcDay = (date) => {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// Record an engagement event for a model. Returns { recorded: false } when the
+// actor's last counted event of this type is within the de-duplication window.
+const recordEvent = async (model, type, req) => {
+  const now = new Date();
+  const actorKey = getActorKey(req);
+  const windowMs = DEDUPE_WINDOW_MINUTES[type] * 60 * 1000;
+
+  const previous = await ModelEvent.findOne({ model: model._id, type, actorKey })
+    .sort({ createdAt: -1 })
+    .select('createdAt');
+  if (previous && now.getTime() - previous.createdAt.getTime() < windowMs) {
+    return { recorded: false };
+  }
+
+  // The key chains the event to the previous one, so concurrent requests that
+  // both passed the check above collide and only one of them counts
+  try {
+    await ModelEvent.create({
+      model: model._id,
+      type,
+      user: req.user ? req.user._id : undefined,
+      actorKey,
+      dedupeKey: hash(`${model._id}:${type}:${actorKey}:after:${previous ? previous._id : 'none'}`),
+      createdAt: now
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { recorded: false };
+    }
+    throw error;
+  }
+
+  const field = COUNTER_FIELDS[type];
+  const [updated] = await Promise.all([
+    Model.findOneAndUpdate(
+      { _id: model._id },
+      { $inc: { [field]: 1 } },
+      { new: true, projection: { [field]: 1 } }
+    ),
+    ModelDailyStat.updateOne(
+      { model: model._id, date: startOfUtcDay(now) },
+      { $inc: { [ROLLUP_FIELDS[type]]: 1 } },
+      { upsert: true }
+    )
+  ]);
+
+  // The event is already counted, so a failed notification must not fail it
+  if (updated) {
+    try {
+      await checkMilestone(model._id, field, updated[field]);
+    } catch (error) {
+      console.error('Milestone notification error:', error);
+    }
+  }
+
+  return { recorded: true };
+};
+
+module.exports = { EVENT_TYPES, recordEvent, getActorKey, startOfUtcDay };
@@ -0,0 +1,77 @@
+const User = require('../models/User');
+const { sendAccountLockedEmail } = require('./accountEmails');
+const { envNumber } = require('../utils/env');
+
+// Consecutive failed logins that lock an account
+const LOCKOUT_THRESHOLD = envNumber('LOGIN_LOCKOUT_THRESHOLD', 5);
+// The first lockout lasts LOCKOUT_MINUTES, each further one twice as long, up to LOCKOUT_MAX_MINUTES
+const LOCKOUT_MINUTES = envNumber('LOGIN_LOCKOUT_MINUTES', 15);
+const LOCKOUT_MAX_MINUTES = envNumber('LOGIN_LOCKOUT_MAX_MINUTES', 24 * 60);
+
+const getLockoutMinutes = (lockoutCount) => {
+  return Math.min(LOCKOUT_MINUTES * Math.pow(2, lockoutCount - 1), LOCKOUT_MAX_MINUTES);
+};
+
+// Seconds until a locked account can sign in again, or 0 when it is not locked.
+// The user must be loaded with +lockedUntil.
+const getLockRemainingSeconds = (user) => {
+  if (!user.lockedUntil) {
+    return 0;
+  }
+  return Math.max(0, Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000));
+};
+
+// Count a failed login, locking the account once the threshold is reached.
+// Returns the lock in seconds, or 0 when the account is still open.
+const recordFailedLogin = async (user) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: { failedLoginAttempts: 1, lockoutCount: 1 } }
+  );
+  if (!updated || updated.failedLoginAttempts < LOCKOUT_THRESHOLD) {
+    return 0;
+  }
+
+  const lockoutCount = (updated.lockoutCount || 0) + 1;
+  const lockMinutes = getLockoutMinutes(lockoutCount);
+
+  // Only one of several concurrent failures gets to lock the account, as the
+  // update resets the counter it matches on
+  const locked = await User.updateOne(
+    { _id: user._id, failedLoginAttempts: { $gte: LOCKOUT_THRESHOLD } },
+    {
+      $set: {
+        failedLoginAttempts: 0,
+        lockedUntil: new Date(Date.now() + lockMinutes * 60 * 1000)
+      },
+      $inc: { lockoutCount: 1 }
+    }
+  );
+  if (locked.modifiedCount === 0) {
+    return 0;
+  }
+
+  try {
+    await sendAccountLockedEmail(user, LOCKOUT_THRESHOLD, lockMinutes);
+  } catch (error) {
+    console.error('Account locked email error:', error);
+  }
+
+  return lockMinutes * 60;
+};
+
+// Clear failed attempts and lockouts, after a successful login or a password reset
+const clearLoginFailures = async (user) => {
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0, lockoutCount: 0 }, $unset: { lockedUntil: 1 } }
+  );
+};
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  getLockRemainingSeconds,
+  recordFailedLogin,
+  clearLoginFailures
+};
@@ -0,0 +1,42 @@
+const { createSmtpTransport } = require('./transports/smtp');
+const { createFileTransport } = require('./transports/file');
+const { createConsoleTransport } = require('./transports/console');
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+// MAIL_TRANSPORT selects the transport: smtp, file or console.
+// Without it, SMTP is used when SMTP_HOST is configured and the console otherwise.
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+// Replace the active transport (any object with a send(message) method)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'SochAI <no-reply@sochai.app>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = { sendMail, getTransport, setTransport };
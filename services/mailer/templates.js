@@ -0,0 +1,67 @@
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const buildLink = (pathname, token) => `${FRONTEND_URL}${pathname}?token=${encodeURIComponent(token)}`;
+
+const verificationEmail = (user, token, ttlMinutes) => {
+  const link = buildLink('/verify-email', token);
+  return {
+    to: user.email,
+    subject: 'Verify your SochAI email address',
+    text: `Hi ${user.firstName},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThe link expires in ${ttlMinutes} minutes. If you did not create a SochAI account, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Please confirm your email address by opening the link below:</p><p><a href="${link}">Verify email</a></p><p>The link expires in ${ttlMinutes} minutes. If you did not create a SochAI account, you can ignore this email.</p>`
+  };
+};
+
+const passwordResetEmail = (user, token, ttlMinutes) => {
+  const link = buildLink('/reset-password', token);
+  return {
+    to: user.email,
+    subject: 'Reset your SochAI password',
+    text: `Hi ${user.firstName},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nThe link expires in ${ttlMinutes} minutes. If you did not request a reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>We received a request to reset your password. Open the link below to choose a new one:</p><p><a href="${link}">Reset password</a></p><p>The link expires in ${ttlMinutes} minutes. If you did not request a reset, you can ignore this email.</p>`
+  };
+};
+
+// Sent to the new address; the change only happens once the link is opened
+const emailChangeEmail = (user, token, ttlMinutes) => {
+  const link = buildLink('/confirm-email-change', token);
+  return {
+    to: user.pendingEmail,
+    subject: 'Confirm your new SochAI email address',
+    text: `Hi ${user.firstName},\n\nPlease confirm that you want to use this address for your SochAI account by opening the link below:\n\n${link}\n\nThe link expires in ${ttlMinutes} minutes. Until then you keep signing in with ${user.email}. If you did not ask for this change, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Please confirm that you want to use this address for your SochAI account by opening the link below:</p><p><a href="${link}">Confirm email address</a></p><p>The link expires in ${ttlMinutes} minutes. Until then you keep signing in with ${escapeHtml(user.email)}. If you did not ask for this change, you can ignore this email.</p>`
+  };
+};
+
+// Sent to the old address once the change is confirmed
+const emailChangedNotice = (user, previousEmail) => ({
+  to: previousEmail,
+  subject: 'Your SochAI email address was changed',
+  text: `Hi ${user.firstName},\n\nThe email address of your SochAI account was changed to ${user.email}. If you did not make this change, please contact support straight away.`,
+  html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>The email address of your SochAI account was changed to ${escapeHtml(user.email)}. If you did not make this change, please contact support straight away.</p>`
+});
+
+// Sent when repeated failed logins lock the account
+const accountLockedEmail = (user, attempts, lockMinutes) => {
+  const link = `${FRONTEND_URL}/forgot-password`;
+  return {
+    to: user.email,
+    subject: 'Sign-in to your SochAI account was paused',
+    text: `Hi ${user.firstName},\n\nThere were ${attempts} failed attempts to sign in to your SochAI account, so signing in is paused for ${lockMinutes} minutes.\n\nIf this was you, you can try again once the pause is over. If it was not, someone may be guessing your password; you can choose a new one here, which also ends the pause:\n\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>There were ${attempts} failed attempts to sign in to your SochAI account, so signing in is paused for ${lockMinutes} minutes.</p><p>If this was you, you can try again once the pause is over. If it was not, someone may be guessing your password; you can choose a new one here, which also ends the pause:</p><p><a href="${link}">Reset password</a></p>`
+  };
+};
+
+module.exports = {
+  verificationEmail,
+  passwordResetEmail,
+  emailChangeEmail,
+  emailChangedNotice,
+  accountLockedEmail
+};
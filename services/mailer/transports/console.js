@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+// Prints messages to the console instead of sending them
+const createConsoleTransport = () => {
+  return {
+    name: 'console',
+    send: async (message) => {
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      console.log(`[mail] To: ${message.to}`);
+      console.log(`[mail] Subject: ${message.subject}`);
+      console.log(message.text);
+      return { messageId };
+    }
+  };
+};
+
+module.exports = { createConsoleTransport };
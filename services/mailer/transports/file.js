@@ -0,0 +1,24 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes every message as a JSON file, so mail can be inspected offline in dev and tests
+const createFileTransport = (options = {}) => {
+  const directory = path.resolve(options.directory || process.env.MAIL_OUTPUT_DIR || 'tmp/mail');
+
+  return {
+    name: 'file',
+    directory,
+    send: async (message) => {
+      await fs.mkdir(directory, { recursive: true });
+
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const filePath = path.join(directory, `${messageId}.json`);
+      await fs.writeFile(filePath, JSON.stringify({ messageId, date: new Date().toISOString(), ...message }, null, 2));
+
+      return { messageId, path: filePath };
+    }
+  };
+};
+
+module.exports = { createFileTransport };
@@ -0,0 +1,24 @@
+const nodemailer = require('nodemailer');
+
+// Delivers mail through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+const createSmtpTransport = (options = {}) => {
+  const transporter = nodemailer.createTransport({
+    host: options.host || process.env.SMTP_HOST,
+    port: parseInt(options.port || process.env.SMTP_PORT, 10) || 587,
+    secure: (options.secure || process.env.SMTP_SECURE) === 'true',
+    auth: (options.user || process.env.SMTP_USER) ? {
+      user: options.user || process.env.SMTP_USER,
+      pass: options.pass || process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const ModelRevision = require('../models/ModelRevision');
+const { MAX_SCREENSHOTS } = require('../validators/model');
+const { getStorage } = require('./storage');
+
+const MAX_FILE_MB = parseInt(process.env.UPLOAD_MAX_FILE_MB, 10) || 5;
+const MAX_FILE_SIZE = MAX_FILE_MB * 1024 * 1024;
+
+// Size limits of the uploaded image, and the sizes generated from it
+const IMAGE_RULES = {
+  icon: {
+    minWidth: 64,
+    minHeight: 64,
+    maxWidth: 4096,
+    maxHeight: 4096,
+    resize: { width: 512, height: 512, fit: 'cover' },
+    thumbnail: { width: 128, height: 128, fit: 'cover' }
+  },
+  avatar: {
+    minWidth: 64,
+    minHeight: 64,
+    maxWidth: 4096,
+    maxHeight: 4096,
+    resize: { width: 256, height: 256, fit: 'cover' },
+    thumbnail: { width: 64, height: 64, fit: 'cover' }
+  },
+  screenshot: {
+    minWidth: 320,
+    minHeight: 200,
+    maxWidth: 8192,
+    maxHeight: 8192,
+    resize: { width: 1920, height: 1920, fit: 'inside', withoutEnlargement: true },
+    thumbnail: { width: 480, height: 480, fit: 'inside', withoutEnlargement: true }
+  }
+};
+
+const imageError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.name = 'ImageValidationError';
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isImageValidationError = (error) => error && error.name === 'ImageValidationError';
+
+// Detect the image type from the file's magic bytes; the client's Content-Type is not trusted
+const sniffImageType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.subarray(0, 6).toString('latin1'))) {
+    return 'image/gif';
+  }
+  if (buffer.length >= 12 && buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+};
+
+// Validate an uploaded image and re-encode it as WebP in its display and thumbnail
+// sizes. Re-encoding also strips metadata such as EXIF location.
+const processImage = async (buffer, kind) => {
+  const rules = IMAGE_RULES[kind];
+
+  if (!sniffImageType(buffer)) {
+    throw imageError('Unsupported image type. Use JPEG, PNG, GIF or WebP', 415);
+  }
+
+  const input = () => sharp(buffer, { limitInputPixels: rules.maxWidth * rules.maxHeight }).rotate();
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw imageError('Image could not be read');
+  }
+
+  // Dimensions as displayed, after EXIF orientation is applied
+  const swapped = metadata.orientation >= 5;
+  const width = swapped ? metadata.height : metadata.width;
+  const height = swapped ? metadata.width : metadata.height;
+
+  if (width < rules.minWidth || height < rules.minHeight) {
+    throw imageError(`Image must be at least ${rules.minWidth}x${rules.minHeight} pixels`);
+  }
+  if (width > rules.maxWidth || height > rules.maxHeight) {
+    throw imageError(`Image cannot be larger than ${rules.maxWidth}x${rules.maxHeight} pixels`);
+  }
+
+  const { data: full, info } = await input().resize(rules.resize).webp({ quality: 85 }).toBuffer({ resolveWithObject: true });
+  const thumbnail = await input().resize(rules.thumbnail).webp({ quality: 80 }).toBuffer();
+
+  return { full, thumbnail, width: info.width, height: info.height };
+};
+
+// Process and store an image of a model. Returns { id, url, thumbnailUrl, width, height }.
+const storeModelImage = async (modelId, kind, buffer) => {
+  const { full, thumbnail, width, height } = await processImage(buffer, kind);
+  const storage = getStorage();
+  const id = crypto.randomUUID();
+  const baseKey = `models/${modelId}/${kind}-${id}`;
+
+  const saved = await storage.save(`${baseKey}.webp`, full, { contentType: 'image/webp' });
+  const savedThumbnail = await storage.save(`${baseKey}-thumb.webp`, thumbnail, { contentType: 'image/webp' });
+
+  return { id, url: saved.url, thumbnailUrl: savedThumbnail.url, width, height };
+};
+
+// Process and store a profile picture. Returns { url, thumbnailUrl }.
+const storeUserAvatar = async (userId, buffer) => {
+  const { full, thumbnail } = await processImage(buffer, 'avatar');
+  const storage = getStorage();
+  const baseKey = `users/${userId}/avatar-${crypto.randomUUID()}`;
+
+  const saved = await storage.save(`${baseKey}.webp`, full, { contentType: 'image/webp' });
+  const savedThumbnail = await storage.save(`${baseKey}-thumb.webp`, thumbnail, { contentType: 'image/webp' });
+
+  return { url: saved.url, thumbnailUrl: savedThumbnail.url };
+};
+
+// Delete stored files by URL, skipping URLs that point elsewhere or outside prefix
+const removeStoredImages = async (urls, prefix) => {
+  const storage = getStorage();
+  for (const url of urls.filter(Boolean)) {
+    const key = storage.keyFromUrl(url);
+    if (!key || !key.startsWith(prefix)) {
+      continue;
+    }
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error('Image cleanup error:', error);
+    }
+  }
+};
+
+// Every image URL referenced by a model or a revision snapshot
+const collectImageUrls = (data) => {
+  const urls = [data.iconUrl, data.iconThumbnailUrl];
+  (data.screenshots || []).forEach(screenshot => {
+    urls.push(screenshot.url, screenshot.thumbnailUrl);
+  });
+  return urls.filter(Boolean);
+};
+
+// Delete stored images that neither the live model nor any approved or pending
+// revision references any more. Approved revisions keep their images so they
+// can still be restored. Only files stored under this model's own prefix are
+// ever deleted, whatever URLs a snapshot holds.
+const releaseImages = async (model, urls) => {
+  const storage = getStorage();
+  const prefix = `models/${model._id}/`;
+  const owned = urls.filter(url => {
+    const key = storage.keyFromUrl(url);
+    return Boolean(key) && key.startsWith(prefix);
+  });
+  if (owned.length === 0) {
+    return;
+  }
+
+  const revisions = await ModelRevision.find({
+    model: model._id,
+    status: { $in: ['approved', 'pending'] }
+  }).select('data');
+
+  const referenced = new Set(collectImageUrls(model));
+  revisions.forEach(revision => collectImageUrls(revision.data).forEach(url => referenced.add(url)));
+
+  for (const url of owned) {
+    if (!referenced.has(url)) {
+      try {
+        await storage.remove(storage.keyFromUrl(url));
+      } catch (error) {
+        console.error('Image cleanup error:', error);
+      }
+    }
+  }
+};
+
+// Delete every stored image of a model
+const removeModelImages = async (modelId) => {
+  try {
+    await getStorage().removePrefix(`models/${modelId}/`);
+  } catch (error) {
+    console.error('Image cleanup error:', error);
+  }
+};
+
+// Delete every stored image of a user
+const removeUserImages = async (userId) => {
+  try {
+    await getStorage().removePrefix(`users/${userId}/`);
+  } catch (error) {
+    console.error('Image cleanup error:', error);
+  }
+};
+
+module.exports = {
+  MAX_FILE_SIZE,
+  MAX_SCREENSHOTS,
+  isImageValidationError,
+  sniffImageType,
+  processImage,
+  storeModelImage,
+  storeUserAvatar,
+  removeStoredImages,
+  collectImageUrls,
+  releaseImages,
+  removeModelImages,
+  removeUserImages
+};
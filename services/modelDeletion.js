@@ -0,0 +1,39 @@
+const Model = require('../models/Model');
+const User = require('../models/User');
+const Review = require('../models/Review');
+const ModelEvent = require('../models/ModelEvent');
+const ModelDailyStat = require('../models/ModelDailyStat');
+const ModelRevision = require('../models/ModelRevision');
+const Bookmark = require('../models/Bookmark');
+const Collection = require('../models/Collection');
+const ComparisonPair = require('../models/ComparisonPair');
+const { releaseClaim } = require('./moderation');
+const { removeModelImages } = require('./media');
+const { emitModelChange } = require('./modelEvents');
+
+// Delete a model with everything that belongs to it. The moderation log is
+// kept, as it is append-only.
+const deleteModel = async (model, actor) => {
+  await Model.findByIdAndDelete(model._id);
+  await Review.deleteMany({ model: model._id });
+  await ModelEvent.deleteMany({ model: model._id });
+  await ModelDailyStat.deleteMany({ model: model._id });
+  await ModelRevision.deleteMany({ model: model._id });
+  await releaseClaim(model._id);
+  await removeModelImages(model._id);
+  await Bookmark.deleteMany({ model: model._id });
+  await Collection.updateMany(
+    { 'items.model': model._id },
+    { $pull: { items: { model: model._id } } }
+  );
+  await ComparisonPair.deleteMany({ $or: [{ a: model._id }, { b: model._id }] });
+
+  // Remove model from the uploader's uploadedModels array
+  if (model.uploadedBy) {
+    await User.findByIdAndUpdate(model.uploadedBy, { $pull: { uploadedModels: model._id } });
+  }
+
+  emitModelChange('deleted', model, { actor });
+};
+
+module.exports = { deleteModel };
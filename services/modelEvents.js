@@ -0,0 +1,37 @@
+const { EventEmitter } = require('events');
+
+// In-process notifications about a model's lifecycle, so features such as
+// caches can react without the routes knowing about them.
+//
+// Change types:
+//   created         a model was uploaded
+//   updated         the live fields of a model changed
+//   status-changed  a model was approved, rejected or reset to pending
+//   deleted         a model was removed
+const MODEL_CHANGE_TYPES = ['created', 'updated', 'status-changed', 'deleted'];
+
+const emitter = new EventEmitter();
+
+// Notify listeners. `model` is the document (or, for deletions, what is left of it).
+const emitModelChange = (type, model, details = {}) => {
+  if (!MODEL_CHANGE_TYPES.includes(type)) {
+    throw new Error(`Unknown model change type "${type}"`);
+  }
+  emitter.emit('change', { type, model, ...details });
+};
+
+// Register a listener. Errors, including rejected promises, are logged and
+// never reach the code that emitted the change.
+const onModelChange = (listener) => {
+  emitter.on('change', (change) => {
+    try {
+      Promise.resolve(listener(change)).catch(error => {
+        console.error('Model change listener error:', error);
+      });
+    } catch (error) {
+      console.error('Model change listener error:', error);
+    }
+  });
+};
+
+module.exports = { MODEL_CHANGE_TYPES, emitModelChange, onModelChange };
@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const Model = require('../models/Model');
+const ModerationLog = require('../models/ModerationLog');
+const ModerationClaim = require('../models/ModerationClaim');
+const RejectionReason = require('../models/RejectionReason');
+const { recordLiveVersion } = require('./revisions');
+const { emitModelChange } = require('./modelEvents');
+
+const CLAIM_MINUTES = parseInt(process.env.MODERATION_CLAIM_MINUTES, 10) || 15;
+const REASON_MAX_LENGTH = 500;
+
+const getClaimExpiry = () => new Date(Date.now() + CLAIM_MINUTES * 60 * 1000);
+
+// Append a transition to the moderation log
+const logStatusChange = (model, { actor, previousStatus = null, reason, cannedReason, trigger, revision }) => {
+  return ModerationLog.create({
+    model: model._id,
+    modelName: model.name,
+    actor: actor._id,
+    actorRole: actor.role,
+    trigger,
+    previousStatus,
+    newStatus: model.status,
+    reason,
+    cannedReason,
+    revision: revision ? revision._id : undefined,
+    revisionNumber: revision ? revision.number : undefined
+  });
+};
+
+// Append a revision decision or restore to the moderation log. The model keeps
+// its status, so the entry records it as both the previous and the new status.
+const logRevisionDecision = (model, revision, { actor, trigger, reason }) => {
+  return logStatusChange(model, { actor, previousStatus: model.status, reason, trigger, revision });
+};
+
+// Turn a free-text reason and/or canned reason ID into the text stored on the model.
+// Returns { reason, cannedReason } or { error }.
+const resolveReason = async ({ reason, reasonId }) => {
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > REASON_MAX_LENGTH)) {
+    return { error: `Reason must be text of at most ${REASON_MAX_LENGTH} characters` };
+  }
+
+  if (reasonId === undefined) {
+    return { reason: reason || undefined };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(reasonId)) {
+    return { error: 'Invalid rejection reason ID format' };
+  }
+
+  const canned = await RejectionReason.findOne({ _id: reasonId, active: true });
+  if (!canned) {
+    return { error: 'Rejection reason not found' };
+  }
+
+  // Extra text refines the canned reason rather than replacing it
+  return {
+    reason: reason ? `${canned.text}\n\n${reason}` : canned.text,
+    cannedReason: canned._id
+  };
+};
+
+// The active claim on a model held by someone other than the given moderator, if any
+const getBlockingClaim = (modelId, moderatorId) => {
+  return ModerationClaim.findOne({
+    model: modelId,
+    moderator: { $ne: moderatorId },
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Claim or renew the lease on a model. Returns null when another moderator holds an active claim.
+const claimModel = async (modelId, moderatorId) => {
+  try {
+    return await ModerationClaim.findOneAndUpdate(
+      {
+        model: modelId,
+        $or: [{ moderator: moderatorId }, { expiresAt: { $lte: new Date() } }]
+      },
+      { model: modelId, moderator: moderatorId, expiresAt: getClaimExpiry() },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // The upsert collided with the unique index: someone else's claim is still active
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// IDs of models other moderators currently hold an active claim on
+const getModelsClaimedByOthers = (moderatorId) => {
+  return ModerationClaim.find({
+    moderator: { $ne: moderatorId },
+    expiresAt: { $gt: new Date() }
+  }).distinct('model');
+};
+
+// Active claims on the given models, keyed by model ID
+const getActiveClaims = async (modelIds) => {
+  const claims = await ModerationClaim.find({
+    model: { $in: modelIds },
+    expiresAt: { $gt: new Date() }
+  }).populate('moderator', 'firstName lastName');
+
+  return new Map(claims.map(claim => [
+    claim.model.toString(),
+    { moderator: claim.moderator, expiresAt: claim.expiresAt }
+  ]));
+};
+
+// Claim the oldest unclaimed pending models until the moderator holds `count` of them
+const claimNextModels = async (moderatorId, count) => {
+  const busy = await getModelsClaimedByOthers(moderatorId);
+
+  // Fetch a few extra in case other moderators claim some of them concurrently
+  const candidates = await Model.find({ status: 'pending', _id: { $nin: busy } })
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(count * 2)
+    .select('_id');
+
+  const claims = [];
+  for (const candidate of candidates) {
+    if (claims.length >= count) {
+      break;
+    }
+    const claim = await claimModel(candidate._id, moderatorId);
+    if (claim) {
+      claims.push(claim);
+    }
+  }
+  return claims;
+};
+
+// Release a claim. Without a moderator ID any claim on the model is released.
+const releaseClaim = (modelId, moderatorId) => {
+  const filter = { model: modelId };
+  if (moderatorId) {
+    filter.moderator = moderatorId;
+  }
+  return ModerationClaim.deleteOne(filter);
+};
+
+// Set a model's status on behalf of a moderator and record the transition
+const applyStatusChange = async (model, { status, reason, cannedReason, actor }) => {
+  const previousStatus = model.status;
+
+  model.status = status;
+  if (status === 'approved' && !model.approvedAt) {
+    model.approvedAt = new Date();
+  }
+  model.rejectionReason = status === 'rejected' ? reason : undefined;
+
+  await model.save();
+
+  if (status === 'approved') {
+    await recordLiveVersion(model, actor._id);
+  }
+
+  const entry = await logStatusChange(model, {
+    actor,
+    previousStatus,
+    reason,
+    cannedReason,
+    trigger: 'moderation'
+  });
+
+  // The review is done, so the model leaves the queue
+  await releaseClaim(model._id);
+
+  emitModelChange('status-changed', model, { previousStatus, actor });
+
+  return { model, entry };
+};
+
+module.exports = {
+  CLAIM_MINUTES,
+  logStatusChange,
+  logRevisionDecision,
+  resolveReason,
+  getBlockingClaim,
+  getModelsClaimedByOthers,
+  getActiveClaims,
+  claimModel,
+  claimNextModels,
+  releaseClaim,
+  applyStatusChange
+};
@@ -0,0 +1,167 @@
+const Notification = require('../models/Notification');
+const Model = require('../models/Model');
+const User = require('../models/User');
+const { onModelChange } = require('./modelEvents');
+
+// status     a moderator approved or rejected your model or one of your edits
+// review     someone reviewed your model
+// milestone  your model reached a views, installs or reviews milestone
+const NOTIFICATION_TYPES = ['status', 'review', 'milestone'];
+
+// Counter values that earn the uploader a milestone notification
+const MILESTONES = {
+  viewsCount: [100, 1000, 10000, 100000, 1000000],
+  installsCount: [10, 100, 1000, 10000, 100000],
+  reviewsCount: [10, 50, 100, 500, 1000]
+};
+
+const MILESTONE_LABELS = {
+  viewsCount: 'views',
+  installsCount: 'installs',
+  reviewsCount: 'reviews'
+};
+
+// Live listeners per user ID, fed by the notification stream
+const subscribers = new Map();
+
+// Get the ID of a reference whether or not it has been populated
+const getId = (value) => (value && value._id ? value._id : value);
+
+// Listen for new notifications for a user. Returns a function that stops listening.
+const subscribe = (userId, listener) => {
+  const key = userId.toString();
+  if (!subscribers.has(key)) {
+    subscribers.set(key, new Set());
+  }
+  subscribers.get(key).add(listener);
+
+  return () => {
+    const listeners = subscribers.get(key);
+    if (listeners) {
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        subscribers.delete(key);
+      }
+    }
+  };
+};
+
+const publish = (userId, notification) => {
+  const listeners = subscribers.get(userId.toString());
+  if (listeners) {
+    listeners.forEach(listener => listener(notification));
+  }
+};
+
+// Create a notification unless the user has turned its type off.
+// Returns null when the notification was not sent.
+const notify = async (userId, { type, model, title, message, data, dedupeKey }) => {
+  const user = await User.findById(userId).select('notificationPreferences');
+  if (!user || user.notificationPreferences[type] === false) {
+    return null;
+  }
+
+  let notification;
+  try {
+    notification = await Notification.create({
+      user: user._id,
+      type,
+      model: model ? model._id : undefined,
+      modelName: model ? model.name : undefined,
+      title,
+      message,
+      data,
+      dedupeKey
+    });
+  } catch (error) {
+    // Already sent
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+
+  publish(user._id, notification);
+  return notification;
+};
+
+const notifyStatusChange = (model, { status, reason, revision }) => {
+  const title = revision
+    ? `Your changes to "${model.name}" were ${status}`
+    : `"${model.name}" was ${status}`;
+
+  return notify(getId(model.uploadedBy), {
+    type: 'status',
+    model,
+    title,
+    message: status === 'rejected' ? reason : undefined,
+    data: {
+      status,
+      reason: status === 'rejected' ? reason : undefined,
+      revision: revision ? revision._id : undefined
+    }
+  });
+};
+
+// Tell the uploader a moderator decided on one of their pending edits
+const notifyRevisionDecision = (model, revision) => notifyStatusChange(model, {
+  status: revision.status,
+  reason: revision.rejectionReason,
+  revision
+});
+
+// Tell the uploader someone reviewed their model
+const notifyNewReview = (model, review, reviewer) => notify(getId(model.uploadedBy), {
+  type: 'review',
+  model,
+  title: `${reviewer.firstName} rated "${model.name}" ${review.rating}/5`,
+  message: review.title || undefined,
+  data: { review: review._id, rating: review.rating }
+});
+
+// Call after a counter changes. Only the update that lands exactly on a
+// milestone notifies, and the dedupe key keeps it to one notification even
+// when a count drops and climbs back (as reviews can).
+const checkMilestone = async (modelId, field, count) => {
+  if (!MILESTONES[field] || !MILESTONES[field].includes(count)) {
+    return null;
+  }
+
+  const model = await Model.findById(modelId).select('name uploadedBy');
+  if (!model) {
+    return null;
+  }
+
+  const label = MILESTONE_LABELS[field];
+  return notify(model.uploadedBy, {
+    type: 'milestone',
+    model,
+    title: `"${model.name}" reached ${count.toLocaleString('en-US')} ${label}`,
+    data: { metric: label, value: count },
+    dedupeKey: `milestone:${model._id}:${field}:${count}`
+  });
+};
+
+// Moderators approving or rejecting a model. Status changes made by the owner
+// (an edit sending the model back to pending) are not worth a notification.
+onModelChange(async ({ type, model, actor }) => {
+  if (type !== 'status-changed' || !['approved', 'rejected'].includes(model.status)) {
+    return;
+  }
+  const ownerId = getId(model.uploadedBy);
+  if (!ownerId || (actor && ownerId.equals(actor._id))) {
+    return;
+  }
+
+  await notifyStatusChange(model, { status: model.status, reason: model.rejectionReason });
+});
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  MILESTONES,
+  subscribe,
+  notify,
+  notifyRevisionDecision,
+  notifyNewReview,
+  checkMilestone
+};
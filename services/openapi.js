@@ -0,0 +1,411 @@
+const fs = require('fs');
+const path = require('path');
+const { version } = require('../package.json');
+const {
+  signupSchema,
+  loginSchema,
+  emailSchema,
+  tokenSchema,
+  resetPasswordSchema,
+  refreshSchema
+} = require('../validators/auth');
+const { modelSchema } = require('../validators/model');
+const { eventSchema } = require('../validators/events');
+const { reviewSchema, replySchema } = require('../validators/reviews');
+const {
+  collectionSchema,
+  collectionUpdateSchema,
+  addItemSchema,
+  reorderSchema
+} = require('../validators/collections');
+const { webhookSchema, webhookUpdateSchema } = require('../validators/webhooks');
+const { apiKeySchema, renameSchema } = require('../validators/apiKeys');
+const {
+  profileUpdateSchema,
+  changePasswordSchema,
+  changeEmailSchema,
+  deleteAccountSchema
+} = require('../validators/me');
+const { preferencesSchema } = require('../validators/notifications');
+const { bulkStatusSchema, revisionStatusSchema, claimNextSchema } = require('../validators/moderation');
+const { roleSchema, rejectionReasonSchema, auditQuerySchema } = require('../validators/admin');
+const { listQuerySchema } = require('../utils/modelFilters');
+const { paginationSchema } = require('../utils/pagination');
+const { joiToJsonSchema, joiToParameters } = require('../utils/joiToJsonSchema');
+
+// The OpenAPI document is built from the running app rather than written by
+// hand: paths, methods and path parameters come from the Express router,
+// authentication, roles and rate limits from the middleware on each route,
+// summaries from the "// METHOD /api/path - Description" comment above each
+// handler, and request bodies from the Joi schemas the handlers validate with.
+
+// Joi schemas published under components.schemas
+const REQUEST_SCHEMAS = {
+  SignupRequest: signupSchema,
+  LoginRequest: loginSchema,
+  EmailRequest: emailSchema,
+  TokenRequest: tokenSchema,
+  ResetPasswordRequest: resetPasswordSchema,
+  RefreshTokenRequest: refreshSchema,
+  ModelRequest: modelSchema,
+  ModelEventRequest: eventSchema,
+  ReviewRequest: reviewSchema,
+  ReviewReplyRequest: replySchema,
+  CollectionRequest: collectionSchema,
+  CollectionUpdateRequest: collectionUpdateSchema,
+  CollectionItemRequest: addItemSchema,
+  CollectionReorderRequest: reorderSchema,
+  WebhookRequest: webhookSchema,
+  WebhookUpdateRequest: webhookUpdateSchema,
+  ApiKeyRequest: apiKeySchema,
+  ApiKeyRenameRequest: renameSchema,
+  ProfileUpdateRequest: profileUpdateSchema,
+  ChangePasswordRequest: changePasswordSchema,
+  ChangeEmailRequest: changeEmailSchema,
+  DeleteAccountRequest: deleteAccountSchema,
+  NotificationPreferencesRequest: preferencesSchema,
+  BulkStatusRequest: bulkStatusSchema,
+  RevisionStatusRequest: revisionStatusSchema,
+  ClaimNextRequest: claimNextSchema,
+  RoleRequest: roleSchema,
+  RejectionReasonRequest: rejectionReasonSchema
+};
+
+// What each route reads from the request, keyed by "METHOD /path" as in the route comments
+const REQUEST_DETAILS = {
+  'POST /api/auth/signup': { body: 'SignupRequest' },
+  'POST /api/auth/login': { body: 'LoginRequest' },
+  'POST /api/auth/refresh': { body: 'RefreshTokenRequest' },
+  'POST /api/auth/verify-email': { body: 'TokenRequest' },
+  'POST /api/auth/confirm-email-change': { body: 'TokenRequest' },
+  'POST /api/auth/forgot-password': { body: 'EmailRequest' },
+  'POST /api/auth/reset-password': { body: 'ResetPasswordRequest' },
+  'POST /api/models': { body: 'ModelRequest' },
+  'PUT /api/models/:id': { body: 'ModelRequest' },
+  'GET /api/models': { query: [listQuerySchema, paginationSchema] },
+  'POST /api/models/:id/events': { body: 'ModelEventRequest' },
+  'POST /api/models/:id/reviews': { body: 'ReviewRequest' },
+  'PUT /api/models/:id/reviews': { body: 'ReviewRequest' },
+  'PUT /api/models/:id/reviews/:reviewId/reply': { body: 'ReviewReplyRequest' },
+  'POST /api/models/admin/bulk-status': { body: 'BulkStatusRequest' },
+  'POST /api/models/admin/queue/claim': { body: 'ClaimNextRequest' },
+  'PUT /api/models/admin/revisions/:revisionId/status': { body: 'RevisionStatusRequest' },
+  'POST /api/collections': { body: 'CollectionRequest' },
+  'PUT /api/collections/:id': { body: 'CollectionUpdateRequest' },
+  'POST /api/collections/:id/items': { body: 'CollectionItemRequest' },
+  'PUT /api/collections/:id/items': { body: 'CollectionReorderRequest' },
+  'POST /api/webhooks': { body: 'WebhookRequest' },
+  'PUT /api/webhooks/:id': { body: 'WebhookUpdateRequest' },
+  'POST /api/api-keys': { body: 'ApiKeyRequest' },
+  'PUT /api/api-keys/:id': { body: 'ApiKeyRenameRequest' },
+  'PATCH /api/me': { body: 'ProfileUpdateRequest' },
+  'PUT /api/me/password': { body: 'ChangePasswordRequest' },
+  'POST /api/me/email': { body: 'ChangeEmailRequest' },
+  'DELETE /api/me': { body: 'DeleteAccountRequest' },
+  'PUT /api/notifications/preferences': { body: 'NotificationPreferencesRequest' },
+  'PUT /api/admin/users/:id/role': { body: 'RoleRequest' },
+  'POST /api/admin/rejection-reasons': { body: 'RejectionReasonRequest' },
+  'PUT /api/admin/rejection-reasons/:id': { body: 'RejectionReasonRequest' },
+  'GET /api/admin/audit-log': { query: [auditQuerySchema, paginationSchema] },
+  'PUT /api/models/:id/icon': { upload: { field: 'icon' } },
+  'POST /api/models/:id/screenshots': { upload: { field: 'screenshots', multiple: true } },
+  'PUT /api/me/avatar': { upload: { field: 'avatar' } }
+};
+
+const ROUTES_DIRECTORY = path.join(__dirname, '..', 'routes');
+const ROUTE_COMMENT = /^\/\/ (GET|POST|PUT|PATCH|DELETE) (\/\S+)(?: - (.+))?$/;
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Route comments and REQUEST_DETAILS may name path parameters differently
+const routeKey = (method, routePath) => `${method.toUpperCase()} ${routePath.replace(/:\w+/g, ':')}`;
+
+// Summaries and access notes from the route comments, by routeKey
+const readRouteComments = () => {
+  const comments = new Map();
+  fs.readdirSync(ROUTES_DIRECTORY)
+    .filter(file => file.endsWith('.js'))
+    .forEach(file => {
+      fs.readFileSync(path.join(ROUTES_DIRECTORY, file), 'utf8').split('\n').forEach(line => {
+        const match = ROUTE_COMMENT.exec(line.trim());
+        if (!match) {
+          return;
+        }
+        const [, method, commentPath, text = ''] = match;
+        const access = /\s*\(([^()]*)\)$/.exec(text);
+        comments.set(routeKey(method, commentPath.split('?')[0]), {
+          summary: access ? text.slice(0, access.index) : text,
+          access: access ? access[1] : null
+        });
+      });
+    });
+  return comments;
+};
+
+const joinPaths = (prefix, routePath) => {
+  const joined = `${prefix}/${routePath}`.replace(/\/+/g, '/');
+  return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+};
+
+// Mount path of a router layer, recovered from the pattern Express compiled it to
+const getMountPath = (layer) => {
+  if (layer.regexp.fast_slash) {
+    return '';
+  }
+  let keyIndex = 0;
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace('\\/?(?=\\/|$)', '')
+    .replace(/\(\?:\\\/\(\[\^\\?\/\]\+\?\)\)/g, () => `/:${layer.keys[keyIndex++].name}`)
+    .replace(/\\\//g, '/');
+};
+
+// Every route of a router stack as { method, path, handlers }, where handlers
+// includes the middleware that runs before the route
+const collectRoutes = (stack, prefix = '', inherited = []) => {
+  const routes = [];
+  const shared = [...inherited];
+  // Middleware mounted on a path, such as app.use('/api/x', check, router)
+  const mounted = [];
+
+  stack.forEach(layer => {
+    if (layer.route) {
+      const handlers = [...shared, ...layer.route.stack.map(routeLayer => routeLayer.handle)];
+      Object.keys(layer.route.methods)
+        .filter(method => HTTP_METHODS.includes(method))
+        .forEach(method => {
+          routes.push({ method, path: joinPaths(prefix, layer.route.path), handlers });
+        });
+    } else if (layer.handle && Array.isArray(layer.handle.stack)) {
+      const before = mounted
+        .filter(entry => entry.source === layer.regexp.source)
+        .map(entry => entry.handle);
+      routes.push(...collectRoutes(layer.handle.stack, joinPaths(prefix, getMountPath(layer)), [...shared, ...before]));
+    } else if (layer.regexp.fast_slash) {
+      shared.push(layer.handle);
+    } else {
+      mounted.push({ source: layer.regexp.source, handle: layer.handle });
+    }
+  });
+
+  return routes;
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const buildComponents = () => {
+  const schemas = {
+    Success: {
+      type: 'object',
+      description: 'Envelope of every successful JSON response',
+      required: ['success'],
+      properties: {
+        success: { type: 'boolean', enum: [true] },
+        message: { type: 'string' },
+        data: { type: 'object', additionalProperties: true }
+      }
+    },
+    Error: {
+      type: 'object',
+      description: 'Envelope of every error response',
+      required: ['success', 'message'],
+      properties: {
+        success: { type: 'boolean', enum: [false] },
+        message: { type: 'string', example: 'Validation error' },
+        errors: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Each failed validation rule, for validation errors'
+        },
+        error: { type: 'string', description: 'Underlying error, only when NODE_ENV is development' },
+        retryAfter: { type: 'integer', description: 'Seconds to wait, for 429 responses' }
+      }
+    },
+    Pagination: {
+      type: 'object',
+      description: 'Returned as data.pagination by paginated listings',
+      properties: {
+        limit: { type: 'integer' },
+        hasNext: { type: 'boolean' },
+        hasPrev: { type: 'boolean' },
+        nextCursor: { type: 'string', nullable: true },
+        prevCursor: { type: 'string', nullable: true }
+      }
+    }
+  };
+
+  Object.entries(REQUEST_SCHEMAS).forEach(([name, schema]) => {
+    schemas[name] = joiToJsonSchema(schema);
+  });
+
+  return {
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT',
+        description: 'Access token from POST /api/auth/login, /signup or /refresh'
+      },
+      apiKey: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-API-Key',
+        description: 'API key from POST /api/api-keys; only accepted by endpoints that list a scope'
+      }
+    },
+    schemas,
+    responses: {
+      ValidationError: errorResponse('Invalid request; `errors` lists each problem'),
+      Unauthorized: errorResponse('Missing, invalid or expired credentials'),
+      Forbidden: errorResponse('Not allowed for this user or API key'),
+      NotFound: errorResponse('Resource not found'),
+      TooManyRequests: {
+        ...errorResponse('Rate limit reached'),
+        headers: {
+          'Retry-After': { description: 'Seconds to wait', schema: { type: 'integer' } },
+          'RateLimit-Limit': { description: 'Requests allowed in the window', schema: { type: 'integer' } },
+          'RateLimit-Remaining': { description: 'Requests left in the window', schema: { type: 'integer' } },
+          'RateLimit-Reset': { description: 'Seconds until the window resets', schema: { type: 'integer' } }
+        }
+      },
+      InternalError: errorResponse('Unexpected server error'),
+      DatabaseUnavailable: errorResponse('The database connection is not ready yet')
+    }
+  };
+};
+
+const buildOperation = (route, comment, details) => {
+  const find = (property) => route.handlers.find(handler => handler[property]);
+  const authentication = find('authentication');
+  const roles = find('roles');
+  const rateLimit = find('rateLimit');
+  const notes = [];
+
+  const operation = {
+    tags: [route.path.split('/')[2] || 'general'],
+    summary: comment ? comment.summary || undefined : undefined
+  };
+
+  const pathParameters = (route.path.match(/:\w+/g) || []).map(param => ({
+    name: param.slice(1),
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+  }));
+  const queryParameters = (details.query || []).flatMap(schema => joiToParameters(schema));
+  if (pathParameters.length > 0 || queryParameters.length > 0) {
+    operation.parameters = [...pathParameters, ...queryParameters];
+  }
+
+  if (details.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: { $ref: `#/components/schemas/${details.body}` } } }
+    };
+  } else if (details.upload) {
+    const file = { type: 'string', format: 'binary' };
+    operation.requestBody = {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: {
+            type: 'object',
+            required: [details.upload.field],
+            properties: {
+              [details.upload.field]: details.upload.multiple ? { type: 'array', items: file } : file
+            }
+          }
+        }
+      }
+    };
+  }
+
+  if (authentication && !authentication.authentication.optional) {
+    const { scope } = authentication.authentication;
+    operation.security = scope ? [{ bearerAuth: [] }, { apiKey: [] }] : [{ bearerAuth: [] }];
+    if (scope) {
+      operation['x-api-key-scope'] = scope;
+      notes.push(`API keys need the \`${scope}\` scope.`);
+    }
+  } else if (authentication) {
+    operation.security = [{}, { bearerAuth: [] }];
+    notes.push('Signing in is optional and may change the result.');
+  } else {
+    operation.security = [];
+  }
+
+  if (roles) {
+    notes.push(`Requires the role: ${roles.roles.join(' or ')}.`);
+  }
+  if (rateLimit) {
+    const { name, windowSeconds, ipMax, accountMax } = rateLimit.rateLimit;
+    const budgets = [ipMax > 0 && `${ipMax} per IP`, accountMax > 0 && `${accountMax} per account`].filter(Boolean);
+    notes.push(`Rate limited (\`${name}\`): ${budgets.join(' and ')} every ${windowSeconds} seconds.`);
+  }
+  if (comment && comment.access) {
+    notes.unshift(`Access: ${comment.access}.`);
+  }
+  if (notes.length > 0) {
+    operation.description = notes.join(' ');
+  }
+
+  const responses = {
+    '2XX': {
+      description: 'Success',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } }
+    }
+  };
+  if (operation.requestBody || queryParameters.length > 0 || route.method !== 'get') {
+    responses['400'] = { $ref: '#/components/responses/ValidationError' };
+  }
+  if (authentication && !authentication.authentication.optional) {
+    responses['401'] = { $ref: '#/components/responses/Unauthorized' };
+    responses['403'] = { $ref: '#/components/responses/Forbidden' };
+  }
+  if (pathParameters.length > 0) {
+    responses['404'] = { $ref: '#/components/responses/NotFound' };
+  }
+  if (rateLimit) {
+    responses['429'] = { $ref: '#/components/responses/TooManyRequests' };
+  }
+  responses['500'] = { $ref: '#/components/responses/InternalError' };
+  if (route.handlers.some(handler => handler.name === 'checkDatabaseConnection')) {
+    responses['503'] = { $ref: '#/components/responses/DatabaseUnavailable' };
+  }
+  operation.responses = responses;
+
+  return operation;
+};
+
+// OpenAPI 3 document for every route of an Express app
+const buildOpenApiDocument = (app) => {
+  const comments = readRouteComments();
+  const requestDetails = new Map(Object.entries(REQUEST_DETAILS).map(([key, details]) => {
+    const [method, routePath] = key.split(' ');
+    return [routeKey(method, routePath), details];
+  }));
+  const paths = {};
+
+  collectRoutes(app._router.stack).forEach(route => {
+    const key = routeKey(route.method, route.path);
+    const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][route.method] = buildOperation(route, comments.get(key), requestDetails.get(key) || {});
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'SochAI API',
+      version,
+      description: 'Every JSON response is an envelope: `{ success: true, message, data }` on success, `{ success: false, message, errors }` on failure. This document is generated from the running server.'
+    },
+    paths,
+    components: buildComponents()
+  };
+};
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const Model = require('../models/Model');
+
+// Name shown publicly: the chosen display name, or the first name and last initial
+const getDisplayName = (user) => {
+  if (user.profile && user.profile.displayName) {
+    return user.profile.displayName;
+  }
+  return user.lastName ? `${user.firstName} ${user.lastName.charAt(0)}.` : user.firstName;
+};
+
+// Totals over a set of approved models. The rating is the average of all their
+// reviews, so a model with many reviews counts for more than one with a few.
+const summarizeModels = async (filter) => {
+  const [stats] = await Model.aggregate([
+    { $match: { ...filter, status: 'approved' } },
+    {
+      $group: {
+        _id: null,
+        modelsCount: { $sum: 1 },
+        ratingSum: { $sum: { $ifNull: ['$ratingSum', 0] } },
+        reviewsCount: { $sum: '$reviewsCount' },
+        viewsCount: { $sum: '$viewsCount' },
+        installsCount: { $sum: '$installsCount' },
+        firstApprovedAt: { $min: '$approvedAt' }
+      }
+    }
+  ]);
+
+  if (!stats) {
+    return { modelsCount: 0, rating: 0, reviewsCount: 0, viewsCount: 0, installsCount: 0, firstApprovedAt: null };
+  }
+
+  return {
+    modelsCount: stats.modelsCount,
+    rating: stats.reviewsCount > 0 ? Math.round((stats.ratingSum / stats.reviewsCount) * 100) / 100 : 0,
+    reviewsCount: stats.reviewsCount,
+    viewsCount: stats.viewsCount,
+    installsCount: stats.installsCount,
+    firstApprovedAt: stats.firstApprovedAt || null
+  };
+};
+
+// The public view of a user. Only fields listed here are ever returned, so
+// contact details and account state cannot leak through a new schema field.
+const buildPublicProfile = async (user) => {
+  const profile = user.profile || {};
+  const stats = await summarizeModels({ uploadedBy: new mongoose.Types.ObjectId(String(user._id)) });
+
+  return {
+    id: user._id,
+    displayName: getDisplayName(user),
+    bio: profile.bio || '',
+    avatarUrl: profile.avatarUrl || null,
+    avatarThumbnailUrl: profile.avatarThumbnailUrl || null,
+    links: (profile.links || []).map(link => ({ label: link.label, url: link.url })),
+    isPublic: profile.isPublic !== false,
+    memberSince: user.createdAt,
+    stats: {
+      approvedModels: stats.modelsCount,
+      rating: stats.rating,
+      reviewsCount: stats.reviewsCount,
+      installsCount: stats.installsCount
+    }
+  };
+};
+
+module.exports = { getDisplayName, summarizeModels, buildPublicProfile };
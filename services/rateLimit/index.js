@@ -0,0 +1,34 @@
+const { createMemoryStore } = require('./memory');
+const { createMongoStore } = require('./mongo');
+
+// A rate limit store is an object with:
+//   increment(key, windowMs) -> { count, resetAt }, counting one request in the
+//     key's current fixed window and starting a new window when it is over
+//   reset(key)
+// Another backend (for example Redis) only has to implement the same methods.
+const storeFactories = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+let store = null;
+
+// RATE_LIMIT_STORE selects the backend; in-memory is the default
+const getRateLimitStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    const factory = storeFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store "${name}"`);
+    }
+    store = factory();
+  }
+  return store;
+};
+
+// Replace the active backend
+const setRateLimitStore = (customStore) => {
+  store = customStore;
+};
+
+module.exports = { getRateLimitStore, setRateLimitStore };
@@ -0,0 +1,38 @@
+// Keeps counters in this process. Limits are per server instance, so use the
+// mongo store when several instances share the traffic.
+const createMemoryStore = (options = {}) => {
+  const counters = new Map();
+  const sweepMs = options.sweepMs || 60 * 1000;
+
+  // Drop counters whose window is over, so memory does not grow with every client seen
+  const timer = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) {
+        counters.delete(key);
+      }
+    });
+  }, sweepMs);
+  timer.unref();
+
+  return {
+    name: 'memory',
+
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    },
+
+    reset: async (key) => {
+      counters.delete(key);
+    }
+  };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,44 @@
+const RateLimitCounter = require('../../models/RateLimitCounter');
+
+// Keeps counters in MongoDB, so every server instance shares the same limits
+const createMongoStore = () => {
+  const increment = async (key, windowMs) => {
+    const now = new Date();
+    const resetAt = new Date(now.getTime() + windowMs);
+
+    // A single atomic update either counts the request in the current window
+    // or starts a new window when the previous one is over
+    const counter = await RateLimitCounter.findOneAndUpdate({ key }, [
+      {
+        $set: {
+          count: { $cond: [{ $gt: ['$resetAt', now] }, { $add: ['$count', 1] }, 1] },
+          resetAt: { $cond: [{ $gt: ['$resetAt', now] }, '$resetAt', resetAt] }
+        }
+      }
+    ], { upsert: true, new: true });
+
+    return { count: counter.count, resetAt: counter.resetAt };
+  };
+
+  return {
+    name: 'mongo',
+
+    increment: async (key, windowMs) => {
+      try {
+        return await increment(key, windowMs);
+      } catch (error) {
+        // Two first requests for a key can race to insert it; the loser updates instead
+        if (error.code === 11000) {
+          return increment(key, windowMs);
+        }
+        throw error;
+      }
+    },
+
+    reset: async (key) => {
+      await RateLimitCounter.deleteOne({ key });
+    }
+  };
+};
+
+module.exports = { createMongoStore };
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const Model = require('../models/Model');
+const Review = require('../models/Review');
+
+// Atomically adjust a model's rating aggregates.
+// The update runs as a single pipeline on the model document, so concurrent
+// review changes cannot overwrite each other's contribution.
+// Resolves to the model's updated rating fields.
+const applyRatingChange = (modelId, { ratingDelta = 0, countDelta = 0 }) => {
+  return Model.findOneAndUpdate({ _id: modelId }, [
+    {
+      $set: {
+        ratingSum: { $max: [0, { $add: [{ $ifNull: ['$ratingSum', 0] }, ratingDelta] }] },
+        reviewsCount: { $max: [0, { $add: [{ $ifNull: ['$reviewsCount', 0] }, countDelta] }] }
+      }
+    },
+    {
+      $set: {
+        rating: {
+          $cond: [
+            { $gt: ['$reviewsCount', 0] },
+            { $round: [{ $divide: ['$ratingSum', '$reviewsCount'] }, 2] },
+            0
+          ]
+        }
+      }
+    }
+  ], { new: true, projection: { rating: 1, reviewsCount: 1 } });
+};
+
+// Rebuild a model's aggregates from its reviews (used when reviews are removed in bulk)
+const recalculateModelRating = async (modelId) => {
+  const [stats] = await Review.aggregate([
+    { $match: { model: new mongoose.Types.ObjectId(String(modelId)) } },
+    { $group: { _id: null, ratingSum: { $sum: '$rating' }, reviewsCount: { $sum: 1 } } }
+  ]);
+
+  const ratingSum = stats ? stats.ratingSum : 0;
+  const reviewsCount = stats ? stats.reviewsCount : 0;
+
+  return Model.updateOne({ _id: modelId }, {
+    $set: {
+      ratingSum,
+      reviewsCount,
+      rating: reviewsCount > 0 ? Math.round((ratingSum / reviewsCount) * 100) / 100 : 0
+    }
+  });
+};
+
+module.exports = { applyRatingChange, recalculateModelRating };
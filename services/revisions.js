@@ -0,0 +1,109 @@
+const ModelRevision = require('../models/ModelRevision');
+const { VERSIONED_MODEL_FIELDS } = require('../validators/model');
+const { emitModelChange } = require('./modelEvents');
+
+// Plain copy of a model's versioned fields
+const snapshotModel = (model) => {
+  const source = typeof model.toObject === 'function' ? model.toObject() : model;
+  const snapshot = {};
+  VERSIONED_MODEL_FIELDS.forEach(field => {
+    if (source[field] !== undefined) {
+      snapshot[field] = source[field];
+    }
+  });
+  return snapshot;
+};
+
+const isSameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+// Field-by-field differences between two snapshots: [{ field, from, to }]
+const diffSnapshots = (from, to) => {
+  return VERSIONED_MODEL_FIELDS
+    .filter(field => !isSameValue(from[field], to[field]))
+    .map(field => ({ field, from: from[field], to: to[field] }));
+};
+
+const nextRevisionNumber = async (modelId) => {
+  const latest = await ModelRevision.findOne({ model: modelId }).sort({ number: -1 }).select('number');
+  return latest ? latest.number + 1 : 1;
+};
+
+// Record the live version of a model, or the given snapshot of it, as an approved revision
+const recordApprovedVersion = async (model, { actor, source, restoredFrom, data = snapshotModel(model) } = {}) => {
+  return ModelRevision.create({
+    model: model._id,
+    number: await nextRevisionNumber(model._id),
+    data,
+    status: 'approved',
+    source,
+    restoredFrom,
+    submittedBy: source === 'initial' ? model.uploadedBy : actor,
+    reviewedBy: actor,
+    reviewedAt: new Date()
+  });
+};
+
+// Make sure the live version of a model is part of its history. It is recorded
+// when it differs from the latest approved revision, which covers the first
+// approval and models approved before revisions existed. `data` is the live
+// version when it was taken before the model changed, and `except` a revision
+// that was just approved and is not live yet.
+const recordLiveVersion = async (model, actor, { data = snapshotModel(model), except } = {}) => {
+  const filter = { model: model._id, status: 'approved' };
+  if (except) {
+    filter._id = { $ne: except };
+  }
+  const latest = await ModelRevision.findOne(filter).sort({ number: -1 });
+  if (latest && diffSnapshots(latest.data, data).length === 0) {
+    return latest;
+  }
+  return recordApprovedVersion(model, { actor, source: latest ? 'submission' : 'initial', data });
+};
+
+// Create the owner's pending revision, or replace the data of the one already waiting
+const submitRevision = async (model, data, userId) => {
+  await recordLiveVersion(model);
+
+  const pending = await ModelRevision.findOne({ model: model._id, status: 'pending' });
+  if (pending) {
+    pending.data = data;
+    pending.submittedBy = userId;
+    pending.markModified('data');
+    return pending.save();
+  }
+
+  return ModelRevision.create({
+    model: model._id,
+    number: await nextRevisionNumber(model._id),
+    data,
+    status: 'pending',
+    source: 'submission',
+    submittedBy: userId
+  });
+};
+
+// What the owner is currently proposing: the pending revision if there is one, otherwise the live version
+const getProposedSnapshot = async (model) => {
+  const pending = await ModelRevision.findOne({ model: model._id, status: 'pending' });
+  return pending ? pending.data : snapshotModel(model);
+};
+
+// Put the data of a revision live on the model
+const applySnapshot = async (model, data) => {
+  VERSIONED_MODEL_FIELDS.forEach(field => {
+    model[field] = data[field];
+  });
+  await model.save();
+  emitModelChange('updated', model);
+  return model;
+};
+
+module.exports = {
+  snapshotModel,
+  diffSnapshots,
+  recordApprovedVersion,
+  recordLiveVersion,
+  submitRevision,
+  getProposedSnapshot,
+  applySnapshot
+};
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const {
+  ACCESS_TOKEN_EXPIRES_IN,
+  generateAccessToken,
+  generateRefreshToken,
+  parseRefreshToken,
+  hashToken,
+  getRefreshTokenExpiry
+} = require('../utils/tokens');
+
+const buildTokens = (userId, sessionId, refreshToken) => ({
+  token: generateAccessToken(userId, sessionId),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_EXPIRES_IN
+});
+
+// Start a new session for a user and issue its first access/refresh token pair
+const createSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = generateRefreshToken(sessionId);
+
+  await Session.create({
+    _id: sessionId,
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: (req.get('user-agent') || '').slice(0, 500),
+    ipAddress: req.ip,
+    expiresAt: getRefreshTokenExpiry()
+  });
+
+  return buildTokens(user._id, sessionId, refreshToken);
+};
+
+// Exchange a refresh token for a new token pair. The presented refresh token is
+// invalidated; presenting an already-rotated token revokes the whole session.
+// Returns null when the token is not valid.
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed || !mongoose.Types.ObjectId.isValid(parsed.sessionId)) {
+    return null;
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const nextRefreshToken = generateRefreshToken(parsed.sessionId);
+
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        previousRefreshTokenHash: presentedHash,
+        lastUsedAt: new Date(),
+        userAgent: (req.get('user-agent') || '').slice(0, 500),
+        ipAddress: req.ip,
+        expiresAt: getRefreshTokenExpiry()
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // Reuse of a rotated token: assume it was stolen and kill the session
+    await Session.updateOne(
+      { _id: parsed.sessionId, previousRefreshTokenHash: presentedHash, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'reuse-detected' } }
+    );
+    return null;
+  }
+
+  return buildTokens(session.user, session._id, nextRefreshToken);
+};
+
+module.exports = { createSession, rotateSession };
@@ -0,0 +1,183 @@
+const Model = require('../models/Model');
+const Bookmark = require('../models/Bookmark');
+const ModelEvent = require('../models/ModelEvent');
+const { onModelChange } = require('./modelEvents');
+const { MODEL_CARD_FIELDS } = require('../utils/modelLookup');
+
+const SIMILAR_MAX_RESULTS = 20;
+const CACHE_TTL_MINUTES = parseInt(process.env.SIMILAR_CACHE_TTL_MINUTES, 10) || 30;
+const CACHE_MAX_ENTRIES = 1000;
+
+// Models considered per request, and recent actors sampled for the co-engagement signal
+const CANDIDATE_LIMIT = 300;
+const ACTOR_SAMPLE_LIMIT = 500;
+
+// How much each signal contributes; every signal is scaled to 0..1 first
+const SIMILARITY_WEIGHTS = {
+  category: 2,
+  tags: 3,
+  capabilities: 2,
+  bestFor: 1.5,
+  popularity: 1,
+  coEngagement: 3
+};
+
+const cache = new Map();
+// Bumped on every invalidation, so results computed from older data are not cached
+let generation = 0;
+
+const clearSimilarCache = () => {
+  generation++;
+  cache.clear();
+};
+
+// Any approval, edit or deletion can change what is similar to what
+onModelChange(clearSimilarCache);
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+// Jaccard similarity of two lists, plus the values they share
+const overlap = (a = [], b = []) => {
+  const left = new Set(a.map(normalize));
+  const right = new Set(b.map(normalize));
+  const shared = [...left].filter(value => right.has(value));
+  const union = new Set([...left, ...right]).size;
+  return { score: union ? shared.length / union : 0, shared };
+};
+
+// Count, per other model, how many of the people who bookmarked or engaged
+// with this model also did so with it
+const getCoEngagement = async (modelId) => {
+  const counts = new Map();
+  const add = (id, count) => {
+    const key = id.toString();
+    counts.set(key, (counts.get(key) || 0) + count);
+  };
+
+  const bookmarks = await Bookmark.find({ model: modelId })
+    .sort({ createdAt: -1 })
+    .limit(ACTOR_SAMPLE_LIMIT)
+    .select('user');
+  const users = bookmarks.map(bookmark => bookmark.user);
+
+  if (users.length > 0) {
+    const alsoBookmarked = await Bookmark.aggregate([
+      { $match: { user: { $in: users }, model: { $ne: modelId } } },
+      { $group: { _id: '$model', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: CANDIDATE_LIMIT }
+    ]);
+    alsoBookmarked.forEach(row => add(row._id, row.count));
+  }
+
+  const actors = await ModelEvent.aggregate([
+    { $match: { model: modelId } },
+    { $sort: { createdAt: -1 } },
+    { $limit: ACTOR_SAMPLE_LIMIT * 4 },
+    { $group: { _id: '$actorKey' } },
+    { $limit: ACTOR_SAMPLE_LIMIT }
+  ]);
+
+  if (actors.length > 0) {
+    const alsoVisited = await ModelEvent.aggregate([
+      { $match: { actorKey: { $in: actors.map(actor => actor._id) }, model: { $ne: modelId } } },
+      { $group: { _id: { model: '$model', actor: '$actorKey' } } },
+      { $group: { _id: '$_id.model', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: CANDIDATE_LIMIT }
+    ]);
+    alsoVisited.forEach(row => add(row._id, row.count));
+  }
+
+  return counts;
+};
+
+const computeSimilar = async (model) => {
+  const coEngagement = await getCoEngagement(model._id);
+
+  const candidates = await Model.find({
+    _id: { $ne: model._id },
+    status: 'approved',
+    $or: [
+      { category: model.category },
+      { tags: { $in: model.tags || [] } },
+      { capabilities: { $in: model.capabilities || [] } },
+      { bestFor: { $in: model.bestFor || [] } },
+      { _id: { $in: [...coEngagement.keys()] } }
+    ]
+  })
+    .sort({ trendingScore: -1 })
+    .limit(CANDIDATE_LIMIT)
+    .select(`${MODEL_CARD_FIELDS} tags capabilities bestFor trendingScore`);
+
+  const maxTrending = Math.max(0, ...candidates.map(candidate => candidate.trendingScore || 0));
+  const maxCoEngagement = Math.max(0, ...coEngagement.values());
+
+  const scored = candidates.map(candidate => {
+    const sameCategory = candidate.category === model.category;
+    const tags = overlap(model.tags, candidate.tags);
+    const capabilities = overlap(model.capabilities, candidate.capabilities);
+    const bestFor = overlap(model.bestFor, candidate.bestFor);
+    const alsoEngaged = coEngagement.get(candidate._id.toString()) || 0;
+
+    const popularity = maxTrending > 0
+      ? Math.log1p(Math.max(candidate.trendingScore || 0, 0)) / Math.log1p(maxTrending)
+      : 0;
+    const coScore = maxCoEngagement > 0 ? Math.log1p(alsoEngaged) / Math.log1p(maxCoEngagement) : 0;
+
+    const score = SIMILARITY_WEIGHTS.category * (sameCategory ? 1 : 0)
+      + SIMILARITY_WEIGHTS.tags * tags.score
+      + SIMILARITY_WEIGHTS.capabilities * capabilities.score
+      + SIMILARITY_WEIGHTS.bestFor * bestFor.score
+      + SIMILARITY_WEIGHTS.popularity * popularity
+      + SIMILARITY_WEIGHTS.coEngagement * coScore;
+
+    const card = { id: candidate._id };
+    MODEL_CARD_FIELDS.split(' ').forEach(field => {
+      card[field] = candidate[field];
+    });
+
+    return {
+      model: card,
+      score: Math.round(score * 1000) / 1000,
+      reasons: {
+        sameCategory,
+        sharedTags: tags.shared,
+        sharedCapabilities: capabilities.shared,
+        sharedBestFor: bestFor.shared,
+        alsoEngaged
+      }
+    };
+  });
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, SIMILAR_MAX_RESULTS);
+};
+
+// Approved models most similar to the given one, best first. Results are
+// cached per model until they expire or any model changes.
+const getSimilarModels = async (model, limit) => {
+  const key = model._id.toString();
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return { results: cached.results.slice(0, limit), cached: true };
+  }
+
+  const startedAt = generation;
+  const results = await computeSimilar(model);
+  if (startedAt !== generation) {
+    return { results: results.slice(0, limit), cached: false };
+  }
+
+  cache.delete(key);
+  if (cache.size >= CACHE_MAX_ENTRIES) {
+    // Maps iterate in insertion order, so this drops the oldest entry
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { results, expiresAt: Date.now() + CACHE_TTL_MINUTES * 60 * 1000 });
+
+  return { results: results.slice(0, limit), cached: false };
+};
+
+module.exports = { SIMILAR_MAX_RESULTS, getSimilarModels, clearSimilarCache };
@@ -0,0 +1,33 @@
+const { createLocalStorage } = require('./local');
+
+// A storage backend is an object with:
+//   save(key, buffer, { contentType }) -> { key, url }
+//   remove(key), removePrefix(prefix)
+//   keyFromUrl(url) -> key or null
+// and optionally serve() returning middleware mounted at publicPath.
+// An S3-compatible backend only has to implement the same methods.
+const storageFactories = {
+  local: createLocalStorage
+};
+
+let storage = null;
+
+// STORAGE_DRIVER selects the backend; local disk is the default
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const factory = storageFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown storage driver "${name}"`);
+    }
+    storage = factory();
+  }
+  return storage;
+};
+
+// Replace the active backend
+const setStorage = (customStorage) => {
+  storage = customStorage;
+};
+
+module.exports = { getStorage, setStorage };
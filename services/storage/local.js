@@ -0,0 +1,62 @@
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+
+// Stores files on local disk and serves them from PUBLIC_PATH. Keys are
+// generated per upload and never reused, so responses can be cached forever.
+const createLocalStorage = (options = {}) => {
+  const directory = path.resolve(options.directory || process.env.UPLOAD_DIR || 'uploads');
+  const publicPath = options.publicPath || '/uploads';
+  const baseUrl = (options.baseUrl || process.env.UPLOAD_BASE_URL || '').replace(/\/+$/, '');
+  const urlPrefix = `${baseUrl}${publicPath}/`;
+
+  // Keys are relative POSIX paths; refuse anything that would escape the directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(directory + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    directory,
+    publicPath,
+
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return { key, url: `${urlPrefix}${key}` };
+    },
+
+    remove: async (key) => {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+
+    // Remove every file whose key starts with the prefix (a directory for this backend)
+    removePrefix: async (prefix) => {
+      await fs.rm(resolveKey(prefix), { recursive: true, force: true });
+    },
+
+    // The key behind a URL returned by save(), or null for URLs this storage does not own
+    keyFromUrl: (url) => {
+      if (typeof url !== 'string' || !url.startsWith(urlPrefix)) {
+        return null;
+      }
+      return url.slice(urlPrefix.length) || null;
+    },
+
+    serve: () => express.static(directory, {
+      immutable: true,
+      maxAge: '365d',
+      index: false,
+      setHeaders: (res) => {
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+      }
+    })
+  };
+};
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,228 @@
+const Model = require('../models/Model');
+const ModelDailyStat = require('../models/ModelDailyStat');
+const Review = require('../models/Review');
+const { envNumber } = require('../utils/env');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Bounds for TRENDING_INTERVAL_MINUTES: a recompute scans every approved model,
+// and setInterval fires immediately when the delay overflows a 32-bit integer
+const MIN_INTERVAL_MINUTES = 5;
+const MAX_INTERVAL_MINUTES = 7 * 24 * 60;
+// The half-life divides the age of every signal, so it must stay positive
+const MIN_HALF_LIFE_HOURS = 1;
+
+// Trending configuration, read from environment variables
+const getTrendingConfig = () => ({
+  weights: {
+    views: envNumber('TRENDING_WEIGHT_VIEWS', 1),
+    clicks: envNumber('TRENDING_WEIGHT_CLICKS', 3),
+    installs: envNumber('TRENDING_WEIGHT_INSTALLS', 8),
+    reviews: envNumber('TRENDING_WEIGHT_REVIEWS', 10),
+    recency: envNumber('TRENDING_WEIGHT_RECENCY', 25)
+  },
+  // Activity loses half its weight every halfLifeHours
+  halfLifeHours: Math.max(envNumber('TRENDING_HALF_LIFE_HOURS', 72), MIN_HALF_LIFE_HOURS),
+  // Activity older than this is ignored entirely
+  windowDays: envNumber('TRENDING_WINDOW_DAYS', 30),
+  intervalMinutes: Math.min(
+    Math.max(envNumber('TRENDING_INTERVAL_MINUTES', 60), MIN_INTERVAL_MINUTES),
+    MAX_INTERVAL_MINUTES
+  )
+});
+
+let lastRun = null;
+let running = null;
+
+// Aggregation expression for 0.5 ^ (age / half-life), where age is measured from dateExpression
+const decayExpression = (dateExpression, now, halfLifeMs) => ({
+  $pow: [0.5, { $divide: [{ $max: [0, { $subtract: [now, dateExpression] }] }, halfLifeMs] }]
+});
+
+// Time-decayed activity per model: { [modelId]: { views, clicks, installs, reviews } }
+const collectActivity = async (modelIds, config, now) => {
+  const halfLifeMs = config.halfLifeHours * HOUR_MS;
+  const since = new Date(now.getTime() - config.windowDays * DAY_MS);
+
+  const [stats, reviews] = await Promise.all([
+    ModelDailyStat.aggregate([
+      { $match: { model: { $in: modelIds }, date: { $gte: since } } },
+      // Daily buckets are treated as happening at midday
+      { $addFields: { decay: decayExpression({ $add: ['$date', DAY_MS / 2] }, now, halfLifeMs) } },
+      {
+        $group: {
+          _id: '$model',
+          views: { $sum: { $multiply: ['$views', '$decay'] } },
+          clicks: { $sum: { $multiply: ['$clicks', '$decay'] } },
+          installs: { $sum: { $multiply: ['$installs', '$decay'] } }
+        }
+      }
+    ]),
+    Review.aggregate([
+      { $match: { model: { $in: modelIds }, createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: '$model',
+          reviews: { $sum: decayExpression('$createdAt', now, halfLifeMs) }
+        }
+      }
+    ])
+  ]);
+
+  const activity = {};
+  const entryFor = (id) => {
+    const key = id.toString();
+    if (!activity[key]) {
+      activity[key] = { views: 0, clicks: 0, installs: 0, reviews: 0 };
+    }
+    return activity[key];
+  };
+
+  stats.forEach(stat => Object.assign(entryFor(stat._id), {
+    views: stat.views,
+    clicks: stat.clicks,
+    installs: stat.installs
+  }));
+  reviews.forEach(stat => {
+    entryFor(stat._id).reviews = stat.reviews;
+  });
+
+  return activity;
+};
+
+// Weighted components and raw score for a single model
+const scoreModel = (model, activity, config, now) => {
+  const halfLifeMs = config.halfLifeHours * HOUR_MS;
+  const publishedAt = model.approvedAt || model.createdAt || now;
+  const recency = Math.pow(0.5, Math.max(0, now - publishedAt) / halfLifeMs);
+
+  const signals = {
+    views: activity.views || 0,
+    clicks: activity.clicks || 0,
+    installs: activity.installs || 0,
+    reviews: activity.reviews || 0,
+    recency
+  };
+
+  const components = {};
+  let raw = 0;
+  Object.keys(signals).forEach(signal => {
+    const contribution = signals[signal] * config.weights[signal];
+    components[signal] = {
+      value: Math.round(signals[signal] * 1000) / 1000,
+      weight: config.weights[signal],
+      contribution: Math.round(contribution * 1000) / 1000
+    };
+    raw += contribution;
+  });
+
+  return { raw, components };
+};
+
+// Map a raw score into the 0-100 range. A log scale keeps one viral model from
+// flattening everything else to zero.
+const normalize = (raw, maxRaw) => {
+  if (!maxRaw || raw <= 0) {
+    return 0;
+  }
+  const score = (100 * Math.log1p(raw)) / Math.log1p(maxRaw);
+  return Math.min(100, Math.round(score * 100) / 100);
+};
+
+const runRecompute = async () => {
+  const startedAt = Date.now();
+  const now = new Date();
+  const config = getTrendingConfig();
+
+  const models = await Model.find({ status: 'approved' })
+    .select('_id approvedAt createdAt')
+    .lean();
+  const activity = await collectActivity(models.map(model => model._id), config, now);
+
+  const scored = models.map(model => ({
+    id: model._id,
+    raw: scoreModel(model, activity[model._id.toString()] || {}, config, now).raw
+  }));
+  const maxRaw = scored.reduce((max, entry) => Math.max(max, entry.raw), 0);
+
+  if (scored.length > 0) {
+    await Model.bulkWrite(scored.map(entry => ({
+      updateOne: {
+        filter: { _id: entry.id },
+        update: { $set: { trendingScore: normalize(entry.raw, maxRaw) } }
+      }
+    })), { ordered: false });
+  }
+
+  lastRun = {
+    ranAt: now,
+    modelsScored: scored.length,
+    maxRaw: Math.round(maxRaw * 1000) / 1000,
+    durationMs: Date.now() - startedAt
+  };
+  return lastRun;
+};
+
+// Recompute trendingScore for every approved model. Concurrent calls share one run.
+const recomputeTrendingScores = () => {
+  if (!running) {
+    running = runRecompute().finally(() => {
+      running = null;
+    });
+  }
+  return running;
+};
+
+// Explain the score of a single model, normalized against the latest full run
+const getTrendingBreakdown = async (modelId) => {
+  const model = await Model.findById(modelId).select('name slug status trendingScore approvedAt createdAt');
+  if (!model) {
+    return null;
+  }
+
+  if (!lastRun) {
+    await recomputeTrendingScores();
+  }
+
+  const now = new Date();
+  const config = getTrendingConfig();
+  const activity = await collectActivity([model._id], config, now);
+  const { raw, components } = scoreModel(model, activity[model._id.toString()] || {}, config, now);
+
+  return {
+    model: {
+      id: model._id,
+      name: model.name,
+      slug: model.slug,
+      status: model.status
+    },
+    storedScore: model.trendingScore,
+    currentScore: model.status === 'approved' ? normalize(raw, lastRun.maxRaw) : 0,
+    raw: Math.round(raw * 1000) / 1000,
+    components,
+    config,
+    lastRun
+  };
+};
+
+// Recompute on startup and then every TRENDING_INTERVAL_MINUTES
+const startTrendingJob = () => {
+  const { intervalMinutes } = getTrendingConfig();
+
+  const run = () => recomputeTrendingScores().catch(error => {
+    console.error('Trending recompute error:', error);
+  });
+
+  run();
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getTrendingConfig,
+  recomputeTrendingScores,
+  getTrendingBreakdown,
+  startTrendingJob
+};
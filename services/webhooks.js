@@ -0,0 +1,365 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { onModelChange } = require('./modelEvents');
+const { envNumber } = require('../utils/env');
+
+const WEBHOOK_EVENTS = ['model.submitted', 'model.approved', 'model.rejected', 'model.updated', 'model.deleted'];
+const TEST_EVENT = 'webhook.test';
+
+const MAX_ATTEMPTS = envNumber('WEBHOOK_MAX_ATTEMPTS', 8);
+// Retries wait RETRY_BASE_SECONDS, then twice as long each time, up to RETRY_MAX_SECONDS
+const RETRY_BASE_SECONDS = envNumber('WEBHOOK_RETRY_BASE_SECONDS', 60);
+const RETRY_MAX_SECONDS = envNumber('WEBHOOK_RETRY_MAX_SECONDS', 6 * 60 * 60);
+const TIMEOUT_MS = envNumber('WEBHOOK_TIMEOUT_SECONDS', 10) * 1000;
+const POLL_SECONDS = envNumber('WEBHOOK_POLL_SECONDS', 5);
+// A worker that dies mid-delivery gives the delivery back after this long
+const LOCK_MS = TIMEOUT_MS + 30 * 1000;
+const BATCH_SIZE = 50;
+const RESPONSE_BODY_LIMIT = 1024;
+
+// Webhooks may only reach private networks (including localhost and cloud
+// metadata addresses) when this is explicitly set to true, e.g. for local testing
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+// IPv4-mapped and NAT64 addresses lead straight to an IPv4 address, so they are refused as a whole
+[
+  ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Model fields included in event payloads
+const PAYLOAD_MODEL_FIELDS = [
+  'name',
+  'slug',
+  'status',
+  'category',
+  'provider',
+  'pricing',
+  'shortDescription',
+  'externalUrl',
+  'iconUrl',
+  'rejectionReason',
+  'createdAt',
+  'updatedAt'
+];
+
+let workerStarted = false;
+let processing = null;
+
+const getId = (value) => (value && value._id ? value._id : value);
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Signature header value: "t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">"
+const signPayload = (secret, payload, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+const getRetryDelayMs = (attempts) => {
+  const seconds = Math.min(RETRY_BASE_SECONDS * Math.pow(2, attempts - 1), RETRY_MAX_SECONDS);
+  return seconds * 1000;
+};
+
+// Webhook event for a model change, or null when there is none
+const getEventForChange = ({ type, model }) => {
+  switch (type) {
+    case 'created':
+      return 'model.submitted';
+    case 'updated':
+      return 'model.updated';
+    case 'deleted':
+      return 'model.deleted';
+    case 'status-changed':
+      // An owner edit sends a rejected model back to pending: a resubmission
+      return {
+        approved: 'model.approved',
+        rejected: 'model.rejected',
+        pending: 'model.submitted'
+      }[model.status] || null;
+    default:
+      return null;
+  }
+};
+
+const serializeModel = (model) => {
+  const data = { id: model._id };
+  PAYLOAD_MODEL_FIELDS.forEach(field => {
+    data[field] = model[field];
+  });
+  return data;
+};
+
+const buildDelivery = (webhook, event, data, extra = {}) => {
+  const _id = new mongoose.Types.ObjectId();
+  const payload = JSON.stringify({
+    id: _id,
+    event,
+    createdAt: new Date(),
+    data
+  });
+  return { _id, webhook: webhook._id, event, payload, ...extra };
+};
+
+const isPrivateAddress = (address, family) => {
+  const type = family === 6 || family === 'IPv6' ? 'ipv6' : 'ipv4';
+  return PRIVATE_ADDRESSES.check(address, type);
+};
+
+const privateAddressError = () => {
+  const error = new Error('Webhook URL resolves to a private address');
+  error.code = 'EPRIVATEADDRESS';
+  return error;
+};
+
+// dns.lookup for outgoing deliveries that refuses private addresses. The socket
+// connects to the address checked here, so a second resolution cannot swap in
+// another one (DNS rebinding).
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isPrivateAddress(entry.address, entry.family))) {
+      return callback(privateAddressError());
+    }
+    callback(null, address, family);
+  });
+};
+
+// POST a body and read the status and at most RESPONSE_BODY_LIMIT characters of
+// the response. Redirects are not followed. Resolves to { status, body }.
+const postJson = (url, headers, body) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const hostname = target.hostname.replace(/^\[|\]$/g, '');
+
+  // IP literals never go through the lookup
+  if (!ALLOW_PRIVATE_URLS && net.isIP(hostname) && isPrivateAddress(hostname, net.isIP(hostname))) {
+    return reject(privateAddressError());
+  }
+
+  const client = target.protocol === 'https:' ? https : http;
+  const request = client.request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: ALLOW_PRIVATE_URLS ? undefined : guardedLookup
+  });
+
+  const timer = setTimeout(() => {
+    const error = new Error(`Timed out after ${TIMEOUT_MS / 1000}s`);
+    error.name = 'TimeoutError';
+    request.destroy(error);
+  }, TIMEOUT_MS);
+  const fail = (error) => {
+    clearTimeout(timer);
+    reject(error);
+  };
+
+  request.on('error', fail);
+  request.on('response', response => {
+    let text = '';
+    const done = () => {
+      clearTimeout(timer);
+      resolve({ status: response.statusCode, body: text.slice(0, RESPONSE_BODY_LIMIT) });
+    };
+    response.setEncoding('utf8');
+    response.on('data', chunk => {
+      text += chunk;
+      if (text.length >= RESPONSE_BODY_LIMIT) {
+        response.destroy();
+        done();
+      }
+    });
+    response.on('end', done);
+    response.on('error', fail);
+  });
+  request.end(body);
+});
+
+// POST a delivery to its webhook. Never throws; the outcome is in the result.
+const sendDelivery = async (webhook, delivery) => {
+  const startedAt = Date.now();
+
+  try {
+    // A redirect could point anywhere, so it is not followed and counts as a failure
+    const response = await postJson(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'SochAI-Webhooks/1.0',
+      'X-Sochai-Event': delivery.event,
+      'X-Sochai-Delivery': delivery._id.toString(),
+      'X-Sochai-Signature': signPayload(webhook.secret, delivery.payload)
+    }, delivery.payload);
+
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      responseStatus: response.status,
+      responseBody: response.body,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    const durationMs = error.code === 'EPRIVATEADDRESS' ? 0 : Date.now() - startedAt;
+    return { ok: false, error: error.message, durationMs };
+  }
+};
+
+// Make one attempt at a delivery and record the outcome: succeeded, failed
+// for good, or pending again with the next attempt scheduled
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  const now = new Date();
+
+  let result;
+  if (!webhook) {
+    result = { ok: false, error: 'Webhook was deleted', final: true };
+  } else if (!webhook.active && !delivery.test) {
+    result = { ok: false, error: 'Webhook is disabled', final: true };
+  } else {
+    result = await sendDelivery(webhook, delivery);
+  }
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = now;
+  delivery.responseStatus = result.responseStatus;
+  delivery.responseBody = result.responseBody;
+  delivery.error = result.error;
+  delivery.durationMs = result.durationMs;
+  delivery.lockedUntil = undefined;
+
+  if (result.ok) {
+    delivery.status = 'succeeded';
+  } else if (result.final || delivery.test || delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(now.getTime() + getRetryDelayMs(delivery.attempts));
+  }
+
+  await delivery.save();
+
+  if (webhook && delivery.status !== 'pending') {
+    await Webhook.updateOne({ _id: webhook._id }, {
+      $set: { lastDeliveryAt: now, lastDeliveryStatus: delivery.status }
+    });
+  }
+
+  return delivery;
+};
+
+// Take the next due delivery, locking it so other workers skip it
+const claimDueDelivery = () => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      status: 'pending',
+      nextAttemptAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+const runQueue = async () => {
+  let processed = 0;
+  while (processed < BATCH_SIZE) {
+    const delivery = await claimDueDelivery();
+    if (!delivery) {
+      break;
+    }
+    await attemptDelivery(delivery);
+    processed++;
+  }
+  return processed;
+};
+
+// Send due deliveries. Concurrent calls share one run.
+const processWebhookQueue = () => {
+  if (!processing) {
+    processing = runQueue().finally(() => {
+      processing = null;
+    });
+  }
+  return processing;
+};
+
+// Queue an event for every active webhook of the owner that subscribes to it
+const enqueueEvent = async (ownerId, event, data) => {
+  const webhooks = await Webhook.find({ owner: ownerId, active: true, events: event });
+  if (webhooks.length === 0) {
+    return [];
+  }
+
+  const deliveries = await WebhookDelivery.insertMany(
+    webhooks.map(webhook => buildDelivery(webhook, event, data))
+  );
+
+  // Deliver straight away rather than waiting for the next poll
+  if (workerStarted) {
+    processWebhookQueue().catch(error => {
+      console.error('Webhook delivery error:', error);
+    });
+  }
+
+  return deliveries;
+};
+
+// Send a sample event to a webhook right away and return the delivery.
+// Test deliveries are logged like any other but never retried.
+const sendTestEvent = async (webhook) => {
+  const delivery = await WebhookDelivery.create(buildDelivery(webhook, TEST_EVENT, {
+    message: 'This is a test event from SochAI',
+    webhook: { id: webhook._id, url: webhook.url, events: webhook.events }
+  }, {
+    test: true,
+    lockedUntil: new Date(Date.now() + LOCK_MS)
+  }));
+
+  return attemptDelivery(delivery);
+};
+
+// Model lifecycle events fan out to the uploader's webhooks
+onModelChange(async (change) => {
+  const event = getEventForChange(change);
+  const ownerId = getId(change.model.uploadedBy);
+  if (!event || !ownerId) {
+    return;
+  }
+
+  await enqueueEvent(ownerId, event, { model: serializeModel(change.model) });
+});
+
+// Poll for due deliveries, including retries and anything queued before a restart
+const startWebhookWorker = () => {
+  workerStarted = true;
+
+  const run = () => processWebhookQueue().catch(error => {
+    console.error('Webhook delivery error:', error);
+  });
+
+  run();
+  const timer = setInterval(run, POLL_SECONDS * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  generateWebhookSecret,
+  signPayload,
+  sendDelivery,
+  sendTestEvent,
+  processWebhookQueue,
+  startWebhookWorker
+};
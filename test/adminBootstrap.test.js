@@ -0,0 +1,84 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const authRoutes = require('../routes/auth');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { startServer, postJson } = require('./helpers/server');
+
+const ADMIN_EMAIL = 'founder@example.com';
+
+describe('ADMIN_EMAILS promotion', () => {
+  let server;
+  let users;
+
+  before(async () => {
+    process.env.ADMIN_EMAILS = ADMIN_EMAIL;
+    server = await startServer(app => app.use('/api/auth', authRoutes));
+  });
+
+  after(() => {
+    delete process.env.ADMIN_EMAILS;
+    return server.close();
+  });
+
+  beforeEach(() => {
+    users = useMemoryModel(User);
+    useMemoryModel(Session);
+    useMemoryModel(UserToken);
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const addUser = (email, extra = {}) => {
+    const user = new User({
+      firstName: 'Test',
+      lastName: 'User',
+      email,
+      mobileNumber: '9876543210',
+      password: 'Old-password-1',
+      ...extra
+    });
+    users.push(user);
+    return user;
+  };
+
+  const resetPassword = async (user) => {
+    const token = await UserToken.issue(user._id, 'password-reset', 60);
+    return postJson(`${server.url}/api/auth/reset-password`, { token, password: 'New-password-42' });
+  };
+
+  it('promotes a listed account once a password reset proves the address', async () => {
+    const user = addUser(ADMIN_EMAIL);
+
+    const response = await resetPassword(user);
+    assert.equal(response.status, 200);
+    assert.equal(user.emailVerified, true);
+    assert.equal(user.role, 'admin');
+  });
+
+  it('promotes a listed account once it verifies its email address', async () => {
+    const user = addUser(ADMIN_EMAIL);
+    const token = await UserToken.issue(user._id, 'email-verification', 60);
+
+    const response = await postJson(`${server.url}/api/auth/verify-email`, { token });
+    assert.equal(response.status, 200);
+    assert.equal(user.role, 'admin');
+  });
+
+  it('leaves other accounts as they are', async () => {
+    const user = addUser('someone@example.com');
+
+    assert.equal((await resetPassword(user)).status, 200);
+    assert.equal(user.role, 'user');
+  });
+
+  it('does not undo a demotion by an admin', async () => {
+    const user = addUser(ADMIN_EMAIL, { emailVerified: true, roleChangedAt: new Date() });
+
+    assert.equal((await resetPassword(user)).status, 200);
+    assert.equal(user.role, 'user');
+  });
+});
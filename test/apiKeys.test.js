@@ -0,0 +1,106 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const apiKeyRoutes = require('../routes/apiKeys');
+const { authenticateScoped, authorizeRoles, hasModeratorAccess } = require('../middleware/auth');
+const { issueApiKey } = require('../services/apiKeys');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { startServer, postJson } = require('./helpers/server');
+
+describe('API key scopes', () => {
+  let server;
+  let owner;
+  let apiKeys;
+
+  before(async () => {
+    server = await startServer(app => {
+      const ok = (req, res) => res.json({ success: true, moderator: hasModeratorAccess(req) });
+      app.post('/read', authenticateScoped('models:read'), ok);
+      app.post('/write', authenticateScoped('models:write'), ok);
+      app.post('/admin-only', authenticateScoped('models:read'), authorizeRoles('admin'), ok);
+      app.use('/api/api-keys', apiKeyRoutes);
+    });
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    [owner] = useMemoryModel(User, [{
+      firstName: 'Ada',
+      lastName: 'Admin',
+      email: 'admin@example.com',
+      mobileNumber: '9876543210',
+      password: 'irrelevant',
+      role: 'admin'
+    }]);
+    apiKeys = useMemoryModel(ApiKey);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const call = (path, key) => postJson(`${server.url}${path}`, {}, { 'X-API-Key': key });
+
+  it('accepts a key on endpoints that take one of its scopes and counts the use', async () => {
+    const { key } = await issueApiKey(owner._id, { name: 'Reader', scopes: ['models:read'] });
+
+    const response = await call('/read', key);
+    assert.equal(response.status, 200);
+    assert.equal(apiKeys[0].usageCount, 1);
+    assert.equal(apiKeys[0].lastUsedIp, '127.0.0.1');
+  });
+
+  it('rejects a key without the scope the endpoint needs', async () => {
+    const { key } = await issueApiKey(owner._id, { name: 'Reader', scopes: ['models:read'] });
+
+    const response = await call('/write', key);
+    assert.equal(response.status, 403);
+    assert.equal(response.body.message, 'This API key does not have the "models:write" scope');
+  });
+
+  it('accepts the key as a bearer token as well', async () => {
+    const { key } = await issueApiKey(owner._id, { name: 'Reader', scopes: ['models:read'] });
+
+    const response = await postJson(`${server.url}/read`, {}, { Authorization: `Bearer ${key}` });
+    assert.equal(response.status, 200);
+  });
+
+  it('rejects unknown, revoked and expired keys', async () => {
+    assert.equal((await call('/read', 'sk_not-a-real-key')).status, 401);
+
+    const revoked = await issueApiKey(owner._id, { name: 'Revoked', scopes: ['models:read'] });
+    revoked.apiKey.revokedAt = new Date();
+    assert.equal((await call('/read', revoked.key)).status, 401);
+
+    const expired = await issueApiKey(owner._id, {
+      name: 'Expired',
+      scopes: ['models:read'],
+      expiresAt: new Date(Date.now() - 1000)
+    });
+    assert.equal((await call('/read', expired.key)).status, 401);
+  });
+
+  it("never grants the owner's role to a key", async () => {
+    const { key } = await issueApiKey(owner._id, { name: 'Reader', scopes: ['models:read'] });
+
+    const adminOnly = await call('/admin-only', key);
+    assert.equal(adminOnly.status, 403);
+
+    const read = await call('/read', key);
+    assert.equal(read.body.moderator, false);
+  });
+
+  it('cannot be used on endpoints for signed-in users only, such as creating keys', async () => {
+    const { key } = await issueApiKey(owner._id, {
+      name: 'Everything',
+      scopes: ['models:read', 'models:write', 'reviews:write']
+    });
+
+    const response = await postJson(`${server.url}/api/api-keys`, {
+      name: 'Escalated',
+      scopes: ['models:write']
+    }, { 'X-API-Key': key });
+    assert.equal(response.status, 403);
+    assert.equal(apiKeys.length, 1);
+  });
+});
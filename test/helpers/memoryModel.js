@@ -0,0 +1,276 @@
+const { mock } = require('node:test');
+
+// In-memory stand-in for the Mongoose model methods the tested code calls, so
+// tests run without a database. Documents are real Mongoose documents, so
+// schema defaults and instance methods work as usual.
+//
+// Filters support plain equality, null for missing fields, $gt, $gte, $lt, $lte,
+// $ne, $in, $regex, $and and $or, with array fields matching when any element
+// does. Queries sort on 1 / -1 keys and apply limits. Updates support
+// $set, $unset, $inc, $addToSet and $pull, and pipelines of $set stages using
+// the expressions in evaluate(). Unique indexes are enforced on create and save,
+// and aggregate() supports $match and a $group on null with $sum.
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const isSame = (a, b) => (a == null && b == null) || (a != null && b != null && String(a) === String(b));
+
+// Dates compare by time and ObjectIds by their hex string, which follows creation order
+const comparable = (value) => {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return value != null && value._bsontype === 'ObjectId' ? String(value) : value;
+};
+
+const compare = (a, b) => {
+  if (a == null || b == null) {
+    return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+  }
+  const [left, right] = [comparable(a), comparable(b)];
+  return left < right ? -1 : (left > right ? 1 : 0);
+};
+
+const isOperatorObject = (condition) => {
+  return condition !== null
+    && Object.getPrototypeOf(condition) === Object.prototype
+    && Object.keys(condition).some(key => key.startsWith('$'));
+};
+
+// Like MongoDB, a value given for an array field matches any of its elements
+const holds = (value, operand) => (Array.isArray(value)
+  ? value.some(item => isSame(item, operand))
+  : isSame(value, operand));
+
+const matchesCondition = (value, condition) => {
+  if (!isOperatorObject(condition)) {
+    return holds(value, condition);
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$gt':
+        return value != null && compare(value, operand) > 0;
+      case '$gte':
+        return value != null && compare(value, operand) >= 0;
+      case '$lt':
+        return value != null && compare(value, operand) < 0;
+      case '$lte':
+        return value != null && compare(value, operand) <= 0;
+      case '$ne':
+        return !holds(value, operand);
+      case '$in':
+        return operand.some(item => holds(value, item));
+      case '$regex':
+        return [].concat(value ?? []).some(item => new RegExp(operand).test(item));
+      default:
+        throw new Error(`memoryModel does not support ${operator}`);
+    }
+  });
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') {
+    return condition.some(branch => matches(doc, branch));
+  }
+  if (key === '$and') {
+    return condition.every(branch => matches(doc, branch));
+  }
+  return matchesCondition(getPath(doc, key), condition);
+});
+
+// The aggregation expressions used by update pipelines
+const evaluate = (doc, expression) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return doc.get(expression.slice(1));
+  }
+  if (expression === null || typeof expression !== 'object' || !isOperatorObject(expression)) {
+    return expression;
+  }
+  const [[operator, operands]] = Object.entries(expression);
+  const values = [].concat(operands).map(operand => evaluate(doc, operand));
+  switch (operator) {
+    case '$add':
+      return values.reduce((sum, value) => sum + value, 0);
+    case '$divide':
+      return values[0] / values[1];
+    case '$max':
+      return Math.max(...values);
+    case '$round':
+      return Math.round(values[0] * 10 ** (values[1] || 0)) / 10 ** (values[1] || 0);
+    case '$gt':
+      return values[0] > values[1];
+    case '$ifNull':
+      return values[0] == null ? values[1] : values[0];
+    case '$cond':
+      return values[0] ? values[1] : values[2];
+    default:
+      throw new Error(`memoryModel does not support ${operator}`);
+  }
+};
+
+const applyUpdate = (doc, update) => {
+  if (Array.isArray(update)) {
+    update.forEach(stage => {
+      if (!stage.$set) {
+        throw new Error(`memoryModel does not support ${Object.keys(stage)[0]}`);
+      }
+      // Every expression in a stage sees the document as it was before the stage
+      const values = Object.entries(stage.$set).map(([path, expression]) => [path, evaluate(doc, expression)]);
+      values.forEach(([path, value]) => doc.set(path, value));
+    });
+    return;
+  }
+  Object.entries(update.$set || {}).forEach(([path, value]) => doc.set(path, value));
+  Object.keys(update.$unset || {}).forEach(path => doc.set(path, undefined));
+  Object.entries(update.$inc || {}).forEach(([path, amount]) => doc.set(path, (doc.get(path) || 0) + amount));
+  Object.entries(update.$addToSet || {}).forEach(([path, value]) => doc.get(path).addToSet(value));
+  Object.entries(update.$pull || {}).forEach(([path, value]) => doc.get(path).pull(value));
+};
+
+const duplicateKeyError = (Model, fields) => Object.assign(
+  new Error(`E11000 duplicate key error collection: ${Model.collection.name} index: ${fields.join('_')}`),
+  { code: 11000 }
+);
+
+const aggregate = (rows, stage) => {
+  if (stage.$match) {
+    return rows.filter(row => matches(row, stage.$match));
+  }
+  if (stage.$group && stage.$group._id === null) {
+    if (rows.length === 0) {
+      return [];
+    }
+    const group = { _id: null };
+    Object.entries(stage.$group).filter(([field]) => field !== '_id').forEach(([field, { $sum }]) => {
+      group[field] = rows.reduce((sum, row) => sum + (typeof $sum === 'string' ? getPath(row, $sum.slice(1)) : $sum), 0);
+    });
+    return [group];
+  }
+  throw new Error(`memoryModel does not support the ${JSON.stringify(stage)} stage`);
+};
+
+// [[field, 1 | -1]] from the object, array and string forms of a sort; keys
+// sorted by anything else, such as a text score, are ignored
+const sortKeys = (spec) => {
+  if (typeof spec === 'string') {
+    return spec.split(/\s+/).filter(Boolean)
+      .map(field => (field.startsWith('-') ? [field.slice(1), -1] : [field, 1]));
+  }
+  return (Array.isArray(spec) ? spec : Object.entries(spec)).filter(([, order]) => order === 1 || order === -1);
+};
+
+// A thenable with the chainable query methods the code under test uses. With
+// first, it sorts the matches and resolves to the first one, as findOne does.
+const query = (result, { first = false } = {}) => {
+  let value = result;
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    sort: (spec) => {
+      const keys = sortKeys(spec);
+      if (Array.isArray(value) && keys.length > 0) {
+        value = [...value].sort((a, b) => keys.reduce(
+          (order, [field, direction]) => order || compare(getPath(a, field), getPath(b, field)) * direction,
+          0
+        ));
+      }
+      return chain;
+    },
+    limit: (count) => {
+      if (Array.isArray(value)) {
+        value = value.slice(0, count);
+      }
+      return chain;
+    },
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(first ? value[0] || null : value).then(resolve, reject)
+  };
+  return chain;
+};
+
+// Replace the static methods of a model with an in-memory collection.
+// Returns the array of stored documents; mock.restoreAll() undoes the stubs.
+const useMemoryModel = (Model, initial = []) => {
+  const documents = initial.map(data => new Model(data));
+  const findFirst = (filter) => documents.find(doc => matches(doc, filter)) || null;
+
+  // Sparse and partial unique indexes only cover the documents they apply to
+  const uniqueIndexes = Model.schema.indexes()
+    .filter(([, options]) => options.unique)
+    .map(([fields, options]) => ({ fields: Object.keys(fields), options }));
+  const checkUnique = (doc) => uniqueIndexes.forEach(({ fields, options }) => {
+    const covers = (candidate) => (!options.sparse || fields.every(field => candidate.get(field) != null))
+      && (!options.partialFilterExpression || matches(candidate, options.partialFilterExpression));
+    if (!covers(doc)) {
+      return;
+    }
+    const duplicate = documents.some(other => other !== doc
+      && covers(other)
+      && fields.every(field => isSame(other.get(field), doc.get(field))));
+    if (duplicate) {
+      throw duplicateKeyError(Model, fields);
+    }
+  });
+
+  mock.method(Model, 'create', async (data) => {
+    const doc = new Model(data);
+    await doc.validate();
+    checkUnique(doc);
+    documents.push(doc);
+    return doc;
+  });
+  mock.method(Model, 'find', (filter) => query(documents.filter(doc => matches(doc, filter))));
+  mock.method(Model, 'findOne', (filter) => query(documents.filter(doc => matches(doc, filter)), { first: true }));
+  mock.method(Model, 'findById', (id) => query(findFirst({ _id: id })));
+  mock.method(Model, 'findByIdAndUpdate', (id, update, options) => Model.findOneAndUpdate({ _id: id }, update, options));
+  mock.method(Model, 'findOneAndUpdate', (filter, update, options = {}) => {
+    const doc = findFirst(filter);
+    if (!doc) {
+      return query(null);
+    }
+    const before = new Model(doc.toObject());
+    applyUpdate(doc, update);
+    return query(options.new ? doc : before);
+  });
+  mock.method(Model, 'updateOne', async (filter, update) => {
+    const doc = findFirst(filter);
+    if (doc) {
+      applyUpdate(doc, update);
+    }
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  });
+  mock.method(Model, 'updateMany', async (filter, update) => {
+    const matched = documents.filter(doc => matches(doc, filter));
+    matched.forEach(doc => applyUpdate(doc, update));
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  });
+  mock.method(Model, 'findOneAndDelete', (filter) => {
+    const doc = findFirst(filter);
+    if (doc) {
+      documents.splice(documents.indexOf(doc), 1);
+    }
+    return query(doc);
+  });
+  mock.method(Model, 'deleteMany', async (filter) => {
+    const remaining = documents.filter(doc => !matches(doc, filter));
+    const deletedCount = documents.length - remaining.length;
+    documents.splice(0, documents.length, ...remaining);
+    return { deletedCount };
+  });
+  // Saving skips the schema's save hooks, such as password hashing
+  mock.method(Model.prototype, 'save', async function() {
+    await this.validate();
+    checkUnique(this);
+    if (!documents.includes(this)) {
+      documents.push(this);
+    }
+    return this;
+  });
+  mock.method(Model, 'aggregate', async (pipeline) => {
+    return pipeline.reduce(aggregate, documents.map(doc => doc.toObject()));
+  });
+
+  return documents;
+};
+
+module.exports = { useMemoryModel, query };
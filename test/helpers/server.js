@@ -0,0 +1,30 @@
+const express = require('express');
+
+// Start an app with the JSON body parser and the given routers on a random port.
+// Resolves to { url, close }.
+const startServer = (mount) => new Promise(resolve => {
+  const app = express();
+  app.use(express.json());
+  mount(app);
+
+  const server = app.listen(0, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+// Send a request with a JSON body, if any. Resolves to { status, headers, body }.
+const requestJson = async (method, url, body, headers = {}) => {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+const postJson = (url, body, headers) => requestJson('POST', url, body, headers);
+
+module.exports = { startServer, requestJson, postJson };
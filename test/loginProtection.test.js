@@ -0,0 +1,97 @@
+// Cheap hashes keep the suite fast; must be set before the User model loads
+process.env.BCRYPT_ROUNDS = '4';
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const authRoutes = require('../routes/auth');
+const { setTransport } = require('../services/mailer');
+const { LOCKOUT_THRESHOLD, recordFailedLogin } = require('../services/loginProtection');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { startServer, postJson } = require('./helpers/server');
+
+const PASSWORD = 'Correct-horse-42';
+
+describe('login lockout', () => {
+  let server;
+  let user;
+  let sentMail;
+  let emailCounter = 0;
+
+  before(async () => {
+    server = await startServer(app => app.use('/api/auth', authRoutes));
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    // A fresh address per test keeps the per-account login rate limit out of the way
+    emailCounter += 1;
+    [user] = useMemoryModel(User, [{
+      firstName: 'Test',
+      lastName: 'User',
+      email: `user${emailCounter}@example.com`,
+      mobileNumber: '9876543210',
+      password: bcrypt.hashSync(PASSWORD, 4)
+    }]);
+    useMemoryModel(Session);
+    sentMail = [];
+    setTransport({ send: async (message) => sentMail.push(message) });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const login = (password) => postJson(`${server.url}/api/auth/login`, { email: user.email, password });
+
+  it('locks the account after the threshold of consecutive failures', async () => {
+    for (let attempt = 1; attempt < LOCKOUT_THRESHOLD; attempt++) {
+      assert.equal((await login('wrong-password')).status, 401);
+    }
+
+    const locked = await login('wrong-password');
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.retryAfter, 15 * 60);
+    assert.equal(locked.headers.get('retry-after'), String(15 * 60));
+    assert.equal(sentMail.length, 1);
+    assert.equal(sentMail[0].to, user.email);
+
+    // The right password does not get through while the lock lasts
+    const correct = await login(PASSWORD);
+    assert.equal(correct.status, 429);
+    assert.equal(correct.body.data, undefined);
+  });
+
+  it('lets the user in once the lock is over and clears the failures', async () => {
+    user.set({ lockedUntil: new Date(Date.now() - 1000), lockoutCount: 1, failedLoginAttempts: 2 });
+
+    const response = await login(PASSWORD);
+    assert.equal(response.status, 200);
+    assert.ok(response.body.data.token);
+    assert.equal(user.failedLoginAttempts, 0);
+    assert.equal(user.lockoutCount, 0);
+    assert.equal(user.lockedUntil, undefined);
+  });
+
+  it('doubles the lock for each further lockout', async () => {
+    user.set({ lockoutCount: 1 });
+
+    let response;
+    for (let attempt = 1; attempt <= LOCKOUT_THRESHOLD; attempt++) {
+      response = await login('wrong-password');
+    }
+    assert.equal(response.status, 429);
+    assert.equal(response.body.retryAfter, 30 * 60);
+    assert.equal(user.lockoutCount, 2);
+  });
+
+  it('locks only once when failures arrive at the same time', async () => {
+    user.set({ failedLoginAttempts: LOCKOUT_THRESHOLD - 1 });
+
+    const results = await Promise.all([recordFailedLogin(user), recordFailedLogin(user)]);
+    assert.deepEqual(results.filter(seconds => seconds > 0), [15 * 60]);
+    assert.equal(user.lockoutCount, 1);
+    assert.equal(sentMail.length, 1);
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const ModelRevision = require('../models/ModelRevision');
+const { setStorage } = require('../services/storage');
+const { createLocalStorage } = require('../services/storage/local');
+const { releaseImages, removeStoredImages } = require('../services/media');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+describe('image release', () => {
+  let directory;
+  let storage;
+  let revisions;
+  const modelId = new mongoose.Types.ObjectId();
+  const otherModelId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sochai-media-'));
+    storage = createLocalStorage({ directory, baseUrl: 'http://localhost:5000' });
+    setStorage(storage);
+  });
+
+  after(() => {
+    setStorage(null);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    revisions = useMemoryModel(ModelRevision);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const store = async (key) => (await storage.save(key, Buffer.from(key))).url;
+  const exists = (url) => fs.existsSync(path.join(directory, storage.keyFromUrl(url)));
+
+  const addRevision = (status, data) => revisions.push(new ModelRevision({
+    model: modelId,
+    number: revisions.length + 1,
+    status,
+    source: 'submission',
+    data
+  }));
+
+  it('deletes only images that no live, approved or pending version references', async () => {
+    const live = await store(`models/${modelId}/live.webp`);
+    const approved = await store(`models/${modelId}/approved.webp`);
+    const pending = await store(`models/${modelId}/pending.webp`);
+    const rejected = await store(`models/${modelId}/rejected.webp`);
+    const orphan = await store(`models/${modelId}/orphan.webp`);
+
+    addRevision('approved', { iconUrl: approved });
+    addRevision('pending', { screenshots: [{ url: pending }] });
+    addRevision('rejected', { iconUrl: rejected });
+
+    await releaseImages({ _id: modelId, iconUrl: live }, [live, approved, pending, rejected, orphan]);
+
+    assert.ok(exists(live));
+    assert.ok(exists(approved));
+    assert.ok(exists(pending));
+    assert.ok(!exists(rejected));
+    assert.ok(!exists(orphan));
+  });
+
+  it("never deletes another model's images or a user's files", async () => {
+    const foreignIcon = await store(`models/${otherModelId}/icon.webp`);
+    const avatar = await store(`users/${userId}/avatar.webp`);
+    // A look-alike prefix must not match either
+    const lookAlike = await store(`models/${modelId}x/icon.webp`);
+
+    await releaseImages({ _id: modelId }, [foreignIcon, avatar, lookAlike, 'https://example.com/icon.png']);
+
+    assert.ok(exists(foreignIcon));
+    assert.ok(exists(avatar));
+    assert.ok(exists(lookAlike));
+  });
+
+  it('only removes stored user images under the given prefix', async () => {
+    const avatar = await store(`users/${userId}/avatar.webp`);
+    const modelIcon = await store(`models/${modelId}/icon.webp`);
+
+    await removeStoredImages([avatar, modelIcon], `users/${userId}/`);
+
+    assert.ok(!exists(avatar));
+    assert.ok(exists(modelIcon));
+  });
+});
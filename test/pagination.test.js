@@ -0,0 +1,161 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const {
+  parsePagination,
+  paginateQuery,
+  paginateRanked,
+  isInvalidCursorError
+} = require('../utils/pagination');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const HELPFUL = [['helpfulCount', -1], ['createdAt', -1]];
+
+// A cursor as paginateQuery encodes it, for tampering with
+const forgeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+const readCursor = (cursor) => JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+describe('parsePagination', () => {
+  it('defaults the limit and accepts a cursor', () => {
+    const { error, value } = parsePagination({});
+    assert.equal(error, undefined);
+    assert.equal(value.limit, 20);
+    assert.deepEqual(parsePagination({ limit: '5', cursor: 'abc', sort: 'newest' }).value, { limit: 5, cursor: 'abc' });
+  });
+
+  it('rejects limits outside 1 to 100', () => {
+    const messages = (query) => parsePagination(query).error.details.map(detail => detail.message);
+
+    assert.deepEqual(messages({ limit: '0' }), ['Limit must be at least 1']);
+    assert.deepEqual(messages({ limit: '101' }), ['Limit cannot be more than 100']);
+    assert.deepEqual(messages({ limit: 'ten' }), ['Limit must be a number']);
+    assert.deepEqual(messages({ limit: '2.5' }), ['Limit must be a whole number']);
+  });
+});
+
+describe('paginateQuery', () => {
+  const modelId = new mongoose.Types.ObjectId();
+  let reviews;
+
+  beforeEach(() => {
+    // Ties on helpfulCount and createdAt, so the order relies on the _id tie-breaker too
+    const createdAt = new Date('2026-01-01T00:00:00Z');
+    reviews = useMemoryModel(Review, [3, 1, 3, 0, 1, 3, 2].map(helpfulCount => ({
+      model: modelId,
+      user: new mongoose.Types.ObjectId(),
+      rating: 4,
+      helpfulCount,
+      createdAt
+    })));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const page = (cursor, limit = 3) => paginateQuery(Review, {
+    filter: { model: modelId },
+    sort: HELPFUL,
+    sortKey: 'helpful',
+    limit,
+    cursor
+  });
+
+  const ids = (items) => items.map(item => String(item._id));
+
+  // Every review in the expected order: most helpful first, newest _id first among ties
+  const expectedOrder = () => ids([...reviews].sort((a, b) => (
+    b.helpfulCount - a.helpfulCount || String(b._id).localeCompare(String(a._id))
+  )));
+
+  it('walks forward and back through every document exactly once', async () => {
+    const forward = [];
+    let result = await page();
+    assert.equal(result.pagination.prevCursor, null);
+    forward.push(ids(result.items));
+    while (result.pagination.nextCursor) {
+      result = await page(result.pagination.nextCursor);
+      forward.push(ids(result.items));
+    }
+
+    assert.deepEqual(forward.flat(), expectedOrder());
+    assert.deepEqual(forward.map(items => items.length), [3, 3, 1]);
+    assert.equal(result.pagination.hasNext, false);
+    assert.equal(result.pagination.hasPrev, true);
+
+    const backward = [];
+    while (result.pagination.prevCursor) {
+      result = await page(result.pagination.prevCursor);
+      backward.unshift(ids(result.items));
+    }
+    assert.deepEqual(backward, forward.slice(0, -1));
+    assert.equal(result.pagination.hasPrev, false);
+  });
+
+  it('keeps its place when documents are added or removed between pages', async () => {
+    const first = await page();
+    const order = expectedOrder();
+
+    // Remove the last review on the first page and add one that sorts first
+    const anchor = reviews.findIndex(review => String(review._id) === order[2]);
+    reviews.splice(anchor, 1);
+    reviews.push(new Review({ model: modelId, user: new mongoose.Types.ObjectId(), rating: 5, helpfulCount: 9 }));
+
+    const second = await page(first.pagination.nextCursor);
+    assert.deepEqual(ids(second.items), order.slice(3, 6));
+  });
+
+  it('rejects cursors that were tampered with or issued for another sort', async () => {
+    const { pagination } = await page();
+    const valid = readCursor(pagination.nextCursor);
+
+    const tampered = [
+      'not-a-cursor',
+      forgeCursor({ ...valid, s: 'newest' }),
+      forgeCursor({ ...valid, d: 'sideways' }),
+      forgeCursor({ ...valid, k: valid.k.slice(1) }),
+      forgeCursor({ ...valid, k: [valid.k[0], valid.k[1], { $oid: 'not-an-id' }] }),
+      forgeCursor({ ...valid, k: [valid.k[0], { $where: 'sleep(1000)' }, valid.k[2]] })
+    ];
+
+    for (const cursor of tampered) {
+      await assert.rejects(page(cursor), isInvalidCursorError, cursor);
+    }
+  });
+
+  it('restores dates and ObjectIds from the cursor', async () => {
+    const { pagination } = await page(undefined, 1);
+    const [helpfulCount, createdAt, id] = readCursor(pagination.nextCursor).k;
+
+    assert.equal(helpfulCount, 3);
+    assert.deepEqual(createdAt, { $date: '2026-01-01T00:00:00.000Z' });
+    assert.equal(id.$oid, expectedOrder()[0]);
+  });
+});
+
+describe('paginateRanked', () => {
+  const entries = ['a', 'b', 'c', 'd', 'e'];
+
+  it('pages through a ranked list by offset', () => {
+    const first = paginateRanked(entries, { limit: 2 });
+    assert.deepEqual(first.entries, ['a', 'b']);
+    assert.equal(first.pagination.prevCursor, null);
+
+    const second = paginateRanked(entries, { limit: 2, cursor: first.pagination.nextCursor });
+    assert.deepEqual(second.entries, ['c', 'd']);
+
+    const back = paginateRanked(entries, { limit: 2, cursor: second.pagination.prevCursor });
+    assert.deepEqual(back.entries, ['a', 'b']);
+  });
+
+  it('rejects negative, fractional and foreign offsets', () => {
+    const cursors = [
+      forgeCursor({ s: 'relevance', d: 'next', o: -2 }),
+      forgeCursor({ s: 'relevance', d: 'next', o: 1.5 }),
+      forgeCursor({ s: 'newest', d: 'next', o: 2 })
+    ];
+
+    for (const cursor of cursors) {
+      assert.throws(() => paginateRanked(entries, { limit: 2, cursor }), isInvalidCursorError);
+    }
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Model = require('../models/Model');
+const Review = require('../models/Review');
+const Notification = require('../models/Notification');
+const reviewRoutes = require('../routes/reviews');
+const { createSession } = require('../services/sessions');
+const { recalculateModelRating } = require('../services/ratings');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { startServer, requestJson } = require('./helpers/server');
+
+const fakeRequest = { ip: '127.0.0.1', get: () => 'node-test' };
+
+const buildUser = (firstName) => ({
+  firstName,
+  lastName: 'Tester',
+  email: `${firstName.toLowerCase()}@example.com`,
+  mobileNumber: '9876543210',
+  password: 'irrelevant'
+});
+
+describe('reviews', () => {
+  let server;
+  let owner;
+  let alice;
+  let bob;
+  let model;
+  let reviews;
+
+  before(async () => {
+    server = await startServer(app => app.use('/api/models/:id/reviews', reviewRoutes));
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    [owner, alice, bob] = useMemoryModel(User, ['Owen', 'Alice', 'Bob'].map(buildUser));
+    useMemoryModel(Session);
+    [model] = useMemoryModel(Model, [{
+      name: 'Test Model',
+      slug: 'test-model',
+      shortDescription: 'A model to review',
+      category: 'code',
+      provider: 'Example',
+      status: 'approved',
+      uploadedBy: owner._id
+    }]);
+    reviews = useMemoryModel(Review);
+    useMemoryModel(Notification);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  // Send a request to a path under the model's reviews as the given user
+  const as = async (user, method, path = '', body) => {
+    const { token } = await createSession(user, fakeRequest);
+    return requestJson(method, `${server.url}/api/models/${model.slug}/reviews${path}`, body, {
+      Authorization: `Bearer ${token}`
+    });
+  };
+
+  const assertRating = (rating, reviewsCount) => {
+    assert.equal(model.rating, rating);
+    assert.equal(model.reviewsCount, reviewsCount);
+  };
+
+  it('keeps the rating in step as reviews are added, edited and removed', async () => {
+    assert.equal((await as(alice, 'POST', '', { rating: 5 })).status, 201);
+    assert.equal((await as(bob, 'POST', '', { rating: 2 })).status, 201);
+    assertRating(3.5, 2);
+
+    assert.equal((await as(alice, 'PUT', '', { rating: 3, text: 'Not so sure now' })).status, 200);
+    assertRating(2.5, 2);
+
+    assert.equal((await as(bob, 'DELETE')).status, 200);
+    assertRating(3, 1);
+
+    assert.equal((await as(alice, 'DELETE')).status, 200);
+    assertRating(0, 0);
+    assert.equal(model.ratingSum, 0);
+  });
+
+  it('rebuilds the rating from the reviews', async () => {
+    [4, 5, 5].forEach(rating => reviews.push(new Review({ model: model._id, user: owner._id, rating })));
+    model.set({ rating: 1, ratingSum: 1, reviewsCount: 1 });
+
+    await recalculateModelRating(model._id);
+    assertRating(4.67, 3);
+    assert.equal(model.ratingSum, 14);
+
+    reviews.splice(0);
+    await recalculateModelRating(model._id);
+    assertRating(0, 0);
+  });
+
+  it('accepts one review per user and none from the owner', async () => {
+    assert.equal((await as(alice, 'POST', '', { rating: 4 })).status, 201);
+
+    const again = await as(alice, 'POST', '', { rating: 1 });
+    assert.equal(again.status, 400);
+    assert.equal(again.body.message, 'You have already reviewed this model');
+
+    const own = await as(owner, 'POST', '', { rating: 5 });
+    assert.equal(own.status, 403);
+
+    assert.equal(reviews.length, 1);
+    assertRating(4, 1);
+  });
+
+  it('counts one helpful vote per user and none on your own review', async () => {
+    const { body } = await as(alice, 'POST', '', { rating: 4 });
+    const path = `/${body.data.review._id}/helpful`;
+
+    const own = await as(alice, 'POST', path);
+    assert.equal(own.status, 403);
+
+    assert.equal((await as(bob, 'POST', path)).body.data.helpfulCount, 1);
+    assert.equal((await as(bob, 'POST', path)).body.data.helpfulCount, 1);
+    assert.equal((await as(owner, 'POST', path)).body.data.helpfulCount, 2);
+
+    assert.equal((await as(bob, 'DELETE', path)).body.data.helpfulCount, 1);
+    assert.equal((await as(bob, 'DELETE', path)).body.data.helpfulCount, 1);
+    assert.deepEqual(reviews[0].helpfulVoters.map(String), [String(owner._id)]);
+  });
+
+  it('lets only the model owner reply', async () => {
+    const { body } = await as(alice, 'POST', '', { rating: 4 });
+    const path = `/${body.data.review._id}/reply`;
+
+    const stranger = await as(bob, 'PUT', path, { text: 'Thanks!' });
+    assert.equal(stranger.status, 403);
+    assert.equal(reviews[0].ownerReply.text, undefined);
+
+    const reply = await as(owner, 'PUT', path, { text: 'Thanks!' });
+    assert.equal(reply.status, 200);
+    assert.equal(reviews[0].ownerReply.text, 'Thanks!');
+    assert.ok(reviews[0].ownerReply.repliedBy.equals(owner._id));
+    const { createdAt } = reviews[0].ownerReply;
+
+    assert.equal((await as(owner, 'PUT', path, { text: 'Thanks again!' })).status, 200);
+    assert.equal(reviews[0].ownerReply.text, 'Thanks again!');
+    assert.deepEqual(reviews[0].ownerReply.createdAt, createdAt);
+
+    assert.equal((await as(alice, 'DELETE', path)).status, 403);
+    assert.equal((await as(owner, 'DELETE', path)).status, 200);
+    assert.equal(reviews[0].ownerReply.text, undefined);
+  });
+});
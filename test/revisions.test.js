@@ -0,0 +1,212 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Model = require('../models/Model');
+const ModelRevision = require('../models/ModelRevision');
+const ModerationLog = require('../models/ModerationLog');
+const Notification = require('../models/Notification');
+const moderationRoutes = require('../routes/moderation');
+const { createSession } = require('../services/sessions');
+const { snapshotModel, submitRevision } = require('../services/revisions');
+const { setStorage } = require('../services/storage');
+const { createLocalStorage } = require('../services/storage/local');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { startServer, requestJson, postJson } = require('./helpers/server');
+
+const fakeRequest = { ip: '127.0.0.1', get: () => 'node-test' };
+
+const buildUser = (firstName, role) => ({
+  firstName,
+  lastName: 'Tester',
+  email: `${firstName.toLowerCase()}@example.com`,
+  mobileNumber: '9876543210',
+  password: 'irrelevant',
+  role
+});
+
+describe('model revisions', () => {
+  let server;
+  let directory;
+  let storage;
+  let owner;
+  let moderator;
+  let otherModerator;
+  let model;
+  let revisions;
+  let logs;
+  let notifications;
+
+  before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sochai-revisions-'));
+    storage = createLocalStorage({ directory, baseUrl: 'http://localhost:5000' });
+    setStorage(storage);
+    server = await startServer(app => app.use('/api/models/admin', moderationRoutes));
+  });
+
+  after(() => {
+    setStorage(null);
+    fs.rmSync(directory, { recursive: true, force: true });
+    return server.close();
+  });
+
+  beforeEach(() => {
+    [owner, moderator, otherModerator] = useMemoryModel(User, [
+      buildUser('Owen', 'user'),
+      buildUser('Mona', 'moderator'),
+      buildUser('Max', 'admin')
+    ]);
+    useMemoryModel(Session);
+    [model] = useMemoryModel(Model, [{
+      name: 'Test Model',
+      slug: 'test-model',
+      shortDescription: 'Before',
+      category: 'code',
+      provider: 'Example',
+      status: 'approved',
+      uploadedBy: owner._id
+    }]);
+    revisions = useMemoryModel(ModelRevision);
+    logs = useMemoryModel(ModerationLog);
+    notifications = useMemoryModel(Notification);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const tokenFor = async (user) => (await createSession(user, fakeRequest)).token;
+
+  const propose = (changes) => submitRevision(model, { ...snapshotModel(model), ...changes }, owner._id);
+
+  const decide = async (user, revision, body) => requestJson(
+    'PUT',
+    `${server.url}/api/models/admin/revisions/${revision._id}/status`,
+    body,
+    { Authorization: `Bearer ${await tokenFor(user)}` }
+  );
+
+  const restore = async (user, revision) => postJson(
+    `${server.url}/api/models/admin/${model._id}/revisions/${revision._id}/restore`,
+    {},
+    { Authorization: `Bearer ${await tokenFor(user)}` }
+  );
+
+  const history = () => revisions
+    .filter(revision => revision.status === 'approved')
+    .sort((a, b) => a.number - b.number)
+    .map(revision => [revision.number, revision.source, revision.data.shortDescription]);
+
+  it('puts an approved revision live and keeps the previous version in the history', async () => {
+    const pending = await propose({ shortDescription: 'After' });
+
+    const response = await decide(moderator, pending, { status: 'approved' });
+    assert.equal(response.status, 200);
+    assert.equal(model.shortDescription, 'After');
+    assert.deepEqual(history(), [[1, 'initial', 'Before'], [2, 'submission', 'After']]);
+
+    assert.equal(logs.length, 1);
+    assert.equal(logs[0].trigger, 'revision-approved');
+    assert.ok(logs[0].actor.equals(moderator._id));
+    assert.equal(logs[0].revisionNumber, 2);
+    assert.equal(logs[0].newStatus, 'approved');
+
+    assert.equal(notifications.length, 1);
+    assert.ok(notifications[0].user.equals(owner._id));
+  });
+
+  it('lets only one of two racing moderators decide', async () => {
+    // A model approved before revisions existed has no history yet, so the
+    // winner records the live version first; the loser must not record it too
+    const pending = await ModelRevision.create({
+      model: model._id,
+      number: 1,
+      data: { ...snapshotModel(model), shortDescription: 'After' },
+      submittedBy: owner._id
+    });
+
+    const responses = await Promise.all([
+      decide(moderator, pending, { status: 'approved' }),
+      decide(otherModerator, pending, { status: 'approved' })
+    ]);
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [200, 409]);
+    const loser = responses.find(response => response.status === 409);
+    assert.equal(loser.body.message, 'Revision has already been approved');
+
+    assert.deepEqual(history(), [[1, 'submission', 'After'], [2, 'initial', 'Before']]);
+    assert.equal(logs.length, 1);
+    assert.equal(notifications.length, 1);
+    assert.equal(model.shortDescription, 'After');
+  });
+
+  it('keeps the live version on rejection and deletes images only the revision used', async () => {
+    const liveIcon = (await storage.save(`models/${model._id}/live.webp`, Buffer.from('live'))).url;
+    const proposedIcon = (await storage.save(`models/${model._id}/proposed.webp`, Buffer.from('proposed'))).url;
+    model.iconUrl = liveIcon;
+    const pending = await propose({ shortDescription: 'After', iconUrl: proposedIcon });
+    const exists = (url) => fs.existsSync(path.join(directory, storage.keyFromUrl(url)));
+
+    const response = await decide(moderator, pending, { status: 'rejected', rejectionReason: 'Blurry icon' });
+    assert.equal(response.status, 200);
+    assert.equal(model.shortDescription, 'Before');
+    assert.equal(model.iconUrl, liveIcon);
+    assert.ok(exists(liveIcon));
+    assert.ok(!exists(proposedIcon));
+
+    assert.equal(pending.status, 'rejected');
+    assert.equal(pending.rejectionReason, 'Blurry icon');
+    assert.equal(logs[0].trigger, 'revision-rejected');
+    assert.equal(logs[0].reason, 'Blurry icon');
+    assert.equal(notifications[0].message, 'Blurry icon');
+  });
+
+  it('restores an earlier version as a new revision', async () => {
+    await decide(moderator, await propose({ shortDescription: 'After' }), { status: 'approved' });
+    const [initial] = revisions;
+
+    const response = await restore(moderator, initial);
+    assert.equal(response.status, 200);
+    assert.equal(model.shortDescription, 'Before');
+    assert.deepEqual(history(), [
+      [1, 'initial', 'Before'],
+      [2, 'submission', 'After'],
+      [3, 'restore', 'Before']
+    ]);
+    assert.ok(revisions[2].restoredFrom.equals(initial._id));
+    assert.deepEqual(logs.map(log => log.trigger), ['revision-approved', 'restore']);
+    assert.equal(logs[1].revisionNumber, 1);
+
+    const again = await restore(moderator, initial);
+    assert.equal(again.status, 400);
+    assert.equal(again.body.message, 'This version is already live');
+  });
+
+  it('reports a restore that lost a race as a conflict and writes no history', async () => {
+    await decide(moderator, await propose({ shortDescription: 'After' }), { status: 'approved' });
+    const [initial] = revisions;
+
+    // What Mongoose throws when another save bumped the version first
+    mock.method(Model.prototype, 'save', async function() {
+      throw new mongoose.Error.VersionError(this, this.__v, ['shortDescription']);
+    });
+    mock.method(console, 'error', () => {});
+
+    const response = await restore(moderator, initial);
+    assert.equal(response.status, 409);
+    assert.equal(response.body.message, 'The model was changed while restoring; reload it and try again');
+    assert.equal(revisions.length, 2);
+    assert.equal(logs.length, 1);
+  });
+
+  it('is for moderators and admins only', async () => {
+    const pending = await propose({ shortDescription: 'After' });
+
+    const response = await decide(owner, pending, { status: 'approved' });
+    assert.equal(response.status, 403);
+    assert.equal(pending.status, 'pending');
+    assert.equal(model.shortDescription, 'Before');
+  });
+});
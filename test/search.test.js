@@ -0,0 +1,104 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Model = require('../models/Model');
+const { escapeRegex, rankModels, buildHighlights } = require('../utils/search');
+const { buildSearchFields } = require('../utils/searchTokens');
+const { useMemoryModel, query } = require('./helpers/memoryModel');
+
+const buildModel = (name, extra = {}) => {
+  const model = {
+    name,
+    shortDescription: `${name} does things`,
+    category: 'code',
+    provider: 'Example',
+    status: 'approved',
+    ...extra
+  };
+  return { ...model, ...buildSearchFields(model) };
+};
+
+describe('model search ranking', () => {
+  let models;
+  let textMatches;
+
+  beforeEach(() => {
+    models = useMemoryModel(Model, [
+      buildModel('Claude'),
+      buildModel('Chat Assistant'),
+      buildModel('ChatterBox'),
+      buildModel('Code Helper', { tags: ['developer'] }),
+      buildModel('Claudette', { status: 'pending' })
+    ]);
+
+    // MongoDB's text index is not emulated: each test says what it finds
+    textMatches = [];
+    const findInMemory = Model.find;
+    mock.method(Model, 'find', (filter, projection) => {
+      if (filter.$text) {
+        return query(textMatches.map(({ id, score }) => ({ _id: id, score })));
+      }
+      return findInMemory(filter, projection);
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const names = (ranked) => ranked.map(({ id }) => models.find(model => model._id.equals(id)).name);
+
+  it('finds models by the start of a word when the text index finds nothing', async () => {
+    assert.deepEqual(names(await rankModels('cla', { status: 'approved' })), ['Claude']);
+    assert.deepEqual(names(await rankModels('dev', { status: 'approved' })), ['Code Helper']);
+  });
+
+  it('tolerates one typo in longer words only', async () => {
+    assert.deepEqual(names(await rankModels('cluade', { status: 'approved' })), ['Claude']);
+    assert.deepEqual(names(await rankModels('develper', { status: 'approved' })), ['Code Helper']);
+
+    // Too short for typo tolerance
+    assert.deepEqual(await rankModels('cde', { status: 'approved' }), []);
+  });
+
+  it('ranks whole words above prefixes and mixes in text index scores', async () => {
+    textMatches = [{ id: models[3]._id, score: 1.25 }];
+
+    const ranked = await rankModels('chat', { status: 'approved' });
+    assert.deepEqual(names(ranked), ['Chat Assistant', 'ChatterBox', 'Code Helper']);
+    assert.deepEqual(ranked.map(({ score }) => score), [8, 7, 2.5]);
+  });
+
+  it('returns nothing for a query without searchable terms', async () => {
+    assert.deepEqual(await rankModels(' ? ! ', {}), []);
+    assert.equal(Model.find.mock.callCount(), 0);
+  });
+});
+
+describe('search helpers', () => {
+  it('escapes regular expression syntax', () => {
+    const pattern = new RegExp(`^${escapeRegex('c++ (v1.5)*')}$`);
+    assert.ok(pattern.test('c++ (v1.5)*'));
+    assert.ok(!pattern.test('cc (v125)'));
+  });
+
+  it('marks matching words and escapes the rest of the snippet', () => {
+    const highlights = buildHighlights({
+      name: 'Code <Helper>',
+      shortDescription: 'Helps you write code & coder tools',
+      tags: ['codegen', 'testing']
+    }, 'code');
+
+    assert.deepEqual(highlights, [
+      { field: 'name', snippet: '<mark>Code</mark> &lt;Helper&gt;' },
+      { field: 'shortDescription', snippet: 'Helps you write <mark>code</mark> &amp; <mark>coder</mark> tools' },
+      { field: 'tags', snippet: '<mark>codegen</mark>' }
+    ]);
+  });
+
+  it('cuts long fields down to a snippet around the first match', () => {
+    const [{ snippet }] = buildHighlights({ longDescription: `${'a '.repeat(100)}target${' b'.repeat(100)}` }, 'target');
+
+    assert.ok(snippet.startsWith('…'));
+    assert.ok(snippet.endsWith('…'));
+    assert.ok(snippet.includes('<mark>target</mark>'));
+    assert.ok(snippet.length < 160);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const authRoutes = require('../routes/auth');
+const { authenticateToken } = require('../middleware/auth');
+const { createSession } = require('../services/sessions');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { startServer, postJson } = require('./helpers/server');
+
+const fakeRequest = { ip: '127.0.0.1', get: () => 'node-test' };
+
+describe('refresh token rotation', () => {
+  let server;
+  let sessions;
+  let user;
+
+  before(async () => {
+    server = await startServer(app => {
+      app.use('/api/auth', authRoutes);
+      app.post('/protected', authenticateToken, (req, res) => res.json({ success: true }));
+    });
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    [user] = useMemoryModel(User, [{
+      firstName: 'Test',
+      lastName: 'User',
+      email: 'test@example.com',
+      mobileNumber: '9876543210',
+      password: 'irrelevant'
+    }]);
+    sessions = useMemoryModel(Session);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const refresh = (refreshToken) => postJson(`${server.url}/api/auth/refresh`, { refreshToken });
+
+  it('issues a new refresh token on every refresh', async () => {
+    const first = await createSession(user, fakeRequest);
+
+    const rotated = await refresh(first.refreshToken);
+    assert.equal(rotated.status, 200);
+    assert.ok(rotated.body.data.token);
+    assert.notEqual(rotated.body.data.refreshToken, first.refreshToken);
+
+    const again = await refresh(rotated.body.data.refreshToken);
+    assert.equal(again.status, 200);
+    assert.equal(sessions.length, 1);
+  });
+
+  it('revokes the session when a rotated refresh token is presented again', async () => {
+    const first = await createSession(user, fakeRequest);
+    const rotated = await refresh(first.refreshToken);
+
+    const reused = await refresh(first.refreshToken);
+    assert.equal(reused.status, 401);
+    assert.ok(sessions[0].revokedAt);
+    assert.equal(sessions[0].revokedReason, 'reuse-detected');
+
+    // The legitimate holder is signed out as well
+    const latest = await refresh(rotated.body.data.refreshToken);
+    assert.equal(latest.status, 401);
+    const protectedResponse = await postJson(`${server.url}/protected`, {}, {
+      Authorization: `Bearer ${rotated.body.data.token}`
+    });
+    assert.equal(protectedResponse.status, 401);
+  });
+
+  it('rejects malformed, unknown and expired refresh tokens', async () => {
+    assert.equal((await refresh('not-a-token')).status, 401);
+    assert.equal((await refresh('507f1f77bcf86cd799439011.secret')).status, 401);
+
+    const first = await createSession(user, fakeRequest);
+    sessions[0].expiresAt = new Date(Date.now() - 1000);
+    assert.equal((await refresh(first.refreshToken)).status, 401);
+    assert.equal(sessions[0].revokedAt, undefined);
+  });
+
+  it('rejects refresh tokens of a revoked session', async () => {
+    const first = await createSession(user, fakeRequest);
+    await Session.revokeAllForUser(user._id, { reason: 'logout-all' });
+
+    assert.equal((await refresh(first.refreshToken)).status, 401);
+  });
+});
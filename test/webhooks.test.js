@@ -0,0 +1,110 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const mongoose = require('mongoose');
+
+// WEBHOOK_ALLOW_PRIVATE_URLS is read when the module loads
+const loadWebhooks = (allowPrivateUrls) => {
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS = allowPrivateUrls ? 'true' : 'false';
+  delete require.cache[require.resolve('../services/webhooks')];
+  return require('../services/webhooks');
+};
+
+const webhookFor = (url) => ({ _id: new mongoose.Types.ObjectId(), url, secret: 'whsec_test' });
+
+const buildTestDelivery = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  event: 'webhook.test',
+  payload: JSON.stringify({ event: 'webhook.test' })
+});
+
+describe('webhook destination guard', () => {
+  let receiver;
+  let port;
+  let received;
+  let respond;
+
+  before(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        respond(res);
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    port = receiver.address().port;
+  });
+
+  after(() => new Promise(resolve => receiver.close(resolve)));
+
+  beforeEach(() => {
+    received = [];
+    respond = (res) => res.end('ok');
+  });
+
+  describe('by default', () => {
+    let sendDelivery;
+
+    before(() => {
+      ({ sendDelivery } = loadWebhooks(false));
+    });
+
+    const hosts = [
+      '127.0.0.1', 'localhost', '[::1]', '[::ffff:127.0.0.1]', '10.0.0.1', '169.254.169.254',
+      '192.168.1.1', '192.0.0.8', '198.18.0.1', '224.0.0.1', '255.255.255.255',
+      // NAT64 forms of 127.0.0.1 and the cloud metadata address
+      '[64:ff9b::7f00:1]', '[64:ff9b::a9fe:a9fe]'
+    ];
+
+    for (const host of hosts) {
+      it(`refuses to deliver to ${host}`, async () => {
+        const result = await sendDelivery(webhookFor(`http://${host}:${port}/hook`), buildTestDelivery());
+
+        assert.equal(result.ok, false);
+        assert.equal(result.error, 'Webhook URL resolves to a private address');
+        assert.equal(received.length, 0);
+      });
+    }
+  });
+
+  describe('with WEBHOOK_ALLOW_PRIVATE_URLS=true', () => {
+    let sendDelivery;
+    let signPayload;
+
+    before(() => {
+      ({ sendDelivery, signPayload } = loadWebhooks(true));
+    });
+
+    after(() => {
+      delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+    });
+
+    it('delivers to a local receiver with a valid signature', async () => {
+      const delivery = buildTestDelivery();
+      const result = await sendDelivery(webhookFor(`http://localhost:${port}/hook`), delivery);
+
+      assert.equal(result.ok, true);
+      assert.equal(result.responseStatus, 200);
+      assert.equal(received.length, 1);
+      assert.equal(received[0].body, delivery.payload);
+      const signature = received[0].headers['x-sochai-signature'];
+      const timestamp = Number(signature.match(/^t=(\d+),/)[1]);
+      assert.equal(signature, signPayload('whsec_test', delivery.payload, timestamp));
+    });
+
+    it('does not follow redirects', async () => {
+      respond = (res) => {
+        res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+        res.end();
+      };
+
+      const result = await sendDelivery(webhookFor(`http://127.0.0.1:${port}/hook`), buildTestDelivery());
+
+      assert.equal(result.ok, false);
+      assert.equal(result.responseStatus, 302);
+      assert.equal(received.length, 1);
+    });
+  });
+});
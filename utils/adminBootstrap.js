@@ -0,0 +1,62 @@
+const User = require('../models/User');
+
+// Emails listed in ADMIN_EMAILS (comma separated) are granted the admin role once
+// the account has verified that address. This is how the very first admin account
+// gets created. Accounts whose role an admin has changed since (roleChangedAt) are
+// left alone, so a demotion sticks across restarts.
+const getBootstrapAdminEmails = () => {
+  return (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+const isBootstrapAdminEmail = (email) => {
+  return getBootstrapAdminEmails().includes((email || '').toLowerCase());
+};
+
+// Accounts ADMIN_EMAILS may still promote
+const bootstrapFilter = (emails) => ({
+  email: { $in: emails },
+  emailVerified: true,
+  roleChangedAt: null,
+  role: { $ne: 'admin' }
+});
+
+// Promote any existing verified accounts listed in ADMIN_EMAILS. Called once on startup.
+const bootstrapAdmins = async () => {
+  const emails = getBootstrapAdminEmails();
+  if (emails.length === 0) {
+    return 0;
+  }
+
+  const result = await User.updateMany(bootstrapFilter(emails), { $set: { role: 'admin' } });
+
+  if (result.modifiedCount > 0) {
+    console.log(`Promoted ${result.modifiedCount} account(s) to admin from ADMIN_EMAILS`);
+  }
+
+  return result.modifiedCount;
+};
+
+// Promote one account right after it verifies an ADMIN_EMAILS address. Returns
+// whether it was promoted.
+const promoteBootstrapAdmin = async (user) => {
+  if (!isBootstrapAdminEmail(user.email)) {
+    return false;
+  }
+
+  const result = await User.updateOne(
+    { _id: user._id, ...bootstrapFilter([user.email.toLowerCase()]) },
+    { $set: { role: 'admin' } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Promoted ${user.email} to admin from ADMIN_EMAILS`);
+    user.role = 'admin';
+  }
+
+  return result.modifiedCount > 0;
+};
+
+module.exports = { getBootstrapAdminEmails, isBootstrapAdminEmail, bootstrapAdmins, promoteBootstrapAdmin };
@@ -0,0 +1,7 @@
+// A numeric environment variable, or the fallback when it is unset or not a number
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+module.exports = { envNumber };
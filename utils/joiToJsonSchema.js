@@ -0,0 +1,213 @@
+// Convert Joi schemas into the JSON Schema dialect used by OpenAPI 3.0, from
+// Joi's own describe() output. Covers the rules this API uses; anything else
+// is documented as an unconstrained value rather than guessed at.
+
+const isForbidden = (description) => description.flags && description.flags.presence === 'forbidden';
+const isRequired = (description) => description.flags && description.flags.presence === 'required';
+
+const getRule = (description, name) => (description.rules || []).find(rule => rule.name === name);
+
+// Joi describes regular expressions as "/source/flags"
+const toPattern = (regex) => String(regex).replace(/^\/|\/[a-z]*$/g, '');
+
+const convertString = (description, schema) => {
+  schema.type = 'string';
+  (description.rules || []).forEach(rule => {
+    const args = rule.args || {};
+    switch (rule.name) {
+      case 'min':
+        schema.minLength = args.limit;
+        break;
+      case 'max':
+        schema.maxLength = args.limit;
+        break;
+      case 'length':
+        schema.minLength = args.limit;
+        schema.maxLength = args.limit;
+        break;
+      case 'email':
+        schema.format = 'email';
+        break;
+      case 'uri':
+        schema.format = args.options && args.options.allowRelative ? 'uri-reference' : 'uri';
+        break;
+      case 'isoDate':
+        schema.format = 'date-time';
+        break;
+      case 'guid':
+        schema.format = 'uuid';
+        break;
+      case 'pattern':
+        schema.pattern = toPattern(args.regex);
+        break;
+      default:
+        break;
+    }
+  });
+};
+
+const convertNumber = (description, schema) => {
+  schema.type = getRule(description, 'integer') ? 'integer' : 'number';
+  (description.rules || []).forEach(rule => {
+    const args = rule.args || {};
+    switch (rule.name) {
+      case 'min':
+        schema.minimum = args.limit;
+        break;
+      case 'max':
+        schema.maximum = args.limit;
+        break;
+      case 'greater':
+        schema.minimum = args.limit;
+        schema.exclusiveMinimum = true;
+        break;
+      case 'less':
+        schema.maximum = args.limit;
+        schema.exclusiveMaximum = true;
+        break;
+      default:
+        break;
+    }
+  });
+};
+
+const convertArray = (description, schema) => {
+  schema.type = 'array';
+  const items = (description.items || []).map(convertDescription);
+  if (items.length === 1) {
+    schema.items = items[0];
+  } else if (items.length > 1) {
+    schema.items = { anyOf: items };
+  } else {
+    schema.items = {};
+  }
+
+  (description.rules || []).forEach(rule => {
+    const args = rule.args || {};
+    if (rule.name === 'min') {
+      schema.minItems = args.limit;
+    } else if (rule.name === 'max') {
+      schema.maxItems = args.limit;
+    } else if (rule.name === 'length') {
+      schema.minItems = args.limit;
+      schema.maxItems = args.limit;
+    } else if (rule.name === 'unique') {
+      schema.uniqueItems = true;
+    }
+  });
+};
+
+const convertObject = (description, schema) => {
+  schema.type = 'object';
+  if (!description.keys) {
+    return;
+  }
+
+  schema.properties = {};
+  const required = [];
+  Object.entries(description.keys).forEach(([key, child]) => {
+    if (isForbidden(child)) {
+      return;
+    }
+    schema.properties[key] = convertDescription(child);
+    if (isRequired(child)) {
+      required.push(key);
+    }
+  });
+
+  if (required.length > 0) {
+    schema.required = required;
+  }
+  const minKeys = getRule(description, 'min');
+  if (minKeys) {
+    schema.minProperties = minKeys.args.limit;
+  }
+  schema.additionalProperties = Boolean(description.flags && description.flags.unknown);
+};
+
+// Conditional rules (Joi.when) become the union of the shapes the value can take
+const convertConditional = (description) => {
+  const options = [];
+  (description.whens || []).forEach(when => {
+    [when.then, when.otherwise].forEach(branch => {
+      if (branch && !isForbidden(branch)) {
+        options.push(convertDescription(branch));
+      }
+    });
+  });
+  if (options.length === 0) {
+    return {};
+  }
+  return options.length === 1 ? options[0] : { anyOf: options };
+};
+
+// Convert the output of schema.describe()
+const convertDescription = (description) => {
+  if (description.whens) {
+    return convertConditional(description);
+  }
+
+  const schema = {};
+  switch (description.type) {
+    case 'string':
+      convertString(description, schema);
+      break;
+    case 'number':
+      convertNumber(description, schema);
+      break;
+    case 'boolean':
+      schema.type = 'boolean';
+      break;
+    case 'date':
+      schema.type = 'string';
+      schema.format = 'date-time';
+      break;
+    case 'array':
+      convertArray(description, schema);
+      break;
+    case 'object':
+      convertObject(description, schema);
+      break;
+    case 'alternatives':
+      schema.anyOf = (description.matches || [])
+        .map(match => match.schema || match.then)
+        .filter(Boolean)
+        .map(convertDescription);
+      break;
+    default:
+      break;
+  }
+
+  const flags = description.flags || {};
+  const allowed = description.allow || [];
+  if (flags.only) {
+    schema.enum = allowed.filter(value => value !== null);
+  }
+  if (allowed.includes(null)) {
+    schema.nullable = true;
+  }
+  if (flags.default !== undefined && typeof flags.default !== 'function') {
+    schema.default = flags.default;
+  }
+  if (flags.description) {
+    schema.description = flags.description;
+  }
+
+  return schema;
+};
+
+// JSON Schema for a Joi schema
+const joiToJsonSchema = (joiSchema) => convertDescription(joiSchema.describe());
+
+// OpenAPI parameters for the keys of a Joi object schema
+const joiToParameters = (joiSchema, location = 'query') => {
+  const { properties = {}, required = [] } = joiToJsonSchema(joiSchema);
+  return Object.entries(properties).map(([name, schema]) => ({
+    name,
+    in: location,
+    required: required.includes(name),
+    schema
+  }));
+};
+
+module.exports = { joiToJsonSchema, joiToParameters };
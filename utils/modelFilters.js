@@ -0,0 +1,175 @@
+const Joi = require('joi');
+const { toProviderKey, groupByProvider } = require('./providers');
+
+const CATEGORIES = [
+  'chatbots', 'image', 'code', 'productivity', 'voice',
+  'writing', 'research', 'agents', 'video', 'audio',
+  'data-analysis', 'language', 'design', 'automation',
+  'healthcare', 'education', 'marketing', 'finance'
+];
+const PRICING_TIERS = ['free', 'freemium', 'paid'];
+const CAPABILITIES = ['text', 'image', 'audio', 'video', 'code', 'agent'];
+
+const TOP_FACET_LIMIT = 20;
+
+// Sort orders for model listings, as [field, direction] pairs for paginateQuery
+const MODEL_SORTS = {
+  trending: [['featured', -1], ['trendingScore', -1], ['createdAt', -1]],
+  newest: [['createdAt', -1]],
+  'top-rated': [['rating', -1], ['reviewsCount', -1]],
+  'most-installed': [['installsCount', -1]],
+  name: [['name', 1]]
+};
+
+// Case-insensitive comparison for the name sort
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Query parameters that accept several values, either comma separated
+// (capabilities=image,code) or repeated (capabilities=image&capabilities=code)
+const MULTI_VALUE_PARAMS = ['category', 'pricing', 'capabilities', 'provider', 'tags', 'modelType'];
+
+const multiValue = (item) => Joi.array().items(item).max(20);
+
+const listQuerySchema = Joi.object({
+  search: Joi.string().trim().max(100).allow('').messages({
+    'string.max': 'Search cannot be more than 100 characters'
+  }),
+  category: multiValue(Joi.string().valid(...CATEGORIES)).messages({
+    'any.only': 'Invalid category filter'
+  }),
+  pricing: multiValue(Joi.string().valid(...PRICING_TIERS)).messages({
+    'any.only': 'Pricing must be one of: free, freemium, paid'
+  }),
+  capabilities: multiValue(Joi.string().valid(...CAPABILITIES)).messages({
+    'any.only': `Capabilities must be any of: ${CAPABILITIES.join(', ')}`
+  }),
+  provider: multiValue(Joi.string().trim().max(50)),
+  tags: multiValue(Joi.string().trim().max(30)),
+  modelType: multiValue(Joi.string().trim().max(50)),
+  isOpenSource: Joi.boolean(),
+  isApiAvailable: Joi.boolean(),
+  // relevance is only available together with search
+  sort: Joi.string().valid(...Object.keys(MODEL_SORTS), 'relevance').messages({
+    'any.only': `Sort must be one of: ${Object.keys(MODEL_SORTS).join(', ')}, relevance`
+  })
+}).unknown(true);
+
+// Split comma separated values, flatten repeated params and drop "all"
+const normalizeListQuery = (query) => {
+  const normalized = { ...query };
+
+  MULTI_VALUE_PARAMS.forEach(param => {
+    if (normalized[param] === undefined) {
+      return;
+    }
+    const values = [].concat(normalized[param])
+      .flatMap(value => String(value).split(','))
+      .map(value => value.trim())
+      .filter(value => value && value !== 'all');
+
+    if (values.length > 0) {
+      normalized[param] = values;
+    } else {
+      delete normalized[param];
+    }
+  });
+
+  return normalized;
+};
+
+// Validate and normalize the listing query string. Returns { error, value } like Joi.
+const parseListQuery = (query) => listQuerySchema.validate(normalizeListQuery(query), {
+  abortEarly: false
+});
+
+// MongoDB filter for the approved models matching a parsed listing query.
+// Category, pricing, provider and model type match any of the listed values;
+// capabilities and tags require all listed values. Providers are compared by
+// their normalized key, so any spelling of a provider matches.
+const buildModelFilter = (query) => {
+  const filter = { status: 'approved' };
+
+  ['category', 'pricing', 'modelType'].forEach(field => {
+    if (query[field]) {
+      filter[field] = { $in: query[field] };
+    }
+  });
+
+  if (query.provider) {
+    filter.providerKey = { $in: query.provider.map(toProviderKey) };
+  }
+
+  ['capabilities', 'tags'].forEach(field => {
+    if (query[field]) {
+      filter[field] = { $all: query[field] };
+    }
+  });
+
+  ['isOpenSource', 'isApiAvailable'].forEach(field => {
+    if (typeof query[field] === 'boolean') {
+      filter[field] = query[field];
+    }
+  });
+
+  return filter;
+};
+
+const countBy = (field, limit) => {
+  const stages = [{ $sortByCount: `$${field}` }];
+  if (limit) {
+    stages.push({ $limit: limit });
+  }
+  return stages;
+};
+
+// Counts per category, pricing tier, capability, provider, tag and flag for all
+// models matching the filter, computed in a single aggregation
+const computeFacets = async (Model, filter) => {
+  const [result] = await Model.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        categories: countBy('category'),
+        pricing: countBy('pricing'),
+        capabilities: [{ $unwind: '$capabilities' }, ...countBy('capabilities')],
+        // Grouped by normalized key, labelled with the most common spelling
+        providers: [
+          ...groupByProvider(),
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: TOP_FACET_LIMIT }
+        ],
+        tags: [{ $unwind: '$tags' }, ...countBy('tags', TOP_FACET_LIMIT)],
+        modelTypes: [{ $match: { modelType: { $nin: [null, ''] } } }, ...countBy('modelType', TOP_FACET_LIMIT)],
+        isOpenSource: countBy('isOpenSource'),
+        isApiAvailable: countBy('isApiAvailable')
+      }
+    }
+  ]);
+
+  const toCounts = (entries) => entries.map(entry => ({ value: entry._id, count: entry.count }));
+
+  return {
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    categories: toCounts(result.categories),
+    pricing: toCounts(result.pricing),
+    capabilities: toCounts(result.capabilities),
+    providers: result.providers.map(entry => ({ value: entry.name, key: entry._id, count: entry.count })),
+    tags: toCounts(result.tags),
+    modelTypes: toCounts(result.modelTypes),
+    isOpenSource: toCounts(result.isOpenSource),
+    isApiAvailable: toCounts(result.isApiAvailable)
+  };
+};
+
+module.exports = {
+  MODEL_SORTS,
+  listQuerySchema,
+  NAME_COLLATION,
+  CATEGORIES,
+  PRICING_TIERS,
+  CAPABILITIES,
+  parseListQuery,
+  buildModelFilter,
+  computeFacets
+};
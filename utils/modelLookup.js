@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Model = require('../models/Model');
+const { MODEL_SORTS, NAME_COLLATION } = require('./modelFilters');
+const { paginateQuery } = require('./pagination');
+
+// Fields shown when models are listed inside other resources (bookmarks, collections)
+const MODEL_CARD_FIELDS = 'name slug shortDescription category provider pricing iconUrl iconThumbnailUrl rating reviewsCount';
+
+// Uploader fields shown on public listings; never contact details
+const UPLOADER_FIELDS = 'firstName lastName profile.displayName profile.avatarThumbnailUrl';
+
+// Find a model by ID, current slug or a previous slug, restricted by filter.
+// Returns { model, redirectedFrom } where redirectedFrom is the outdated slug that
+// was used, or null when nothing matches.
+const findModelByIdOrSlug = async (idOrSlug, filter = {}) => {
+  if (typeof idOrSlug !== 'string' || !idOrSlug) {
+    return null;
+  }
+
+  if (mongoose.Types.ObjectId.isValid(idOrSlug)) {
+    const model = await Model.findOne({ ...filter, _id: idOrSlug });
+    if (model) {
+      return { model, redirectedFrom: null };
+    }
+  }
+
+  const slug = idOrSlug.toLowerCase();
+  const current = await Model.findOne({ ...filter, slug });
+  if (current) {
+    return { model: current, redirectedFrom: null };
+  }
+
+  const renamed = await Model.findOne({ ...filter, previousSlugs: slug });
+  if (renamed) {
+    return { model: renamed, redirectedFrom: slug };
+  }
+
+  return null;
+};
+
+// Find a publicly visible (approved) model by its ID or slug. Returns null when
+// no approved model matches.
+const findApprovedModel = async (idOrSlug) => {
+  const result = await findModelByIdOrSlug(idOrSlug, { status: 'approved' });
+  return result ? result.model : null;
+};
+
+// One page of public model listings in one of the MODEL_SORTS orders
+const paginateModels = (filter, sort, { limit, cursor }) => paginateQuery(Model, {
+  filter,
+  sort: MODEL_SORTS[sort],
+  sortKey: sort,
+  limit,
+  cursor,
+  collation: sort === 'name' ? NAME_COLLATION : undefined,
+  prepare: query => query
+    .populate('uploadedBy', UPLOADER_FIELDS)
+    .select('-rejectionReason')
+});
+
+module.exports = {
+  MODEL_CARD_FIELDS,
+  UPLOADER_FIELDS,
+  findModelByIdOrSlug,
+  findApprovedModel,
+  paginateModels
+};
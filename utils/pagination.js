@@ -0,0 +1,203 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const paginationSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(MAX_LIMIT).default(DEFAULT_LIMIT).messages({
+    'number.base': 'Limit must be a number',
+    'number.integer': 'Limit must be a whole number',
+    'number.min': 'Limit must be at least 1',
+    'number.max': `Limit cannot be more than ${MAX_LIMIT}`
+  }),
+  cursor: Joi.string().max(1000).allow('')
+});
+
+// Validate limit and cursor from a query string. Other parameters are ignored.
+const parsePagination = (query) => {
+  const { error, value } = paginationSchema.validate(
+    { limit: query.limit, cursor: query.cursor },
+    { abortEarly: false }
+  );
+  return { error, value };
+};
+
+// Cursors are opaque base64url JSON. Dates and ObjectIds are tagged so they
+// round-trip with their original types.
+const serializeValue = (value) => {
+  if (value instanceof Date) {
+    return { $date: value.toISOString() };
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return { $oid: value.toString() };
+  }
+  return value === undefined ? null : value;
+};
+
+const deserializeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string') {
+      return new Date(value.$date);
+    }
+    if (typeof value.$oid === 'string' && mongoose.Types.ObjectId.isValid(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw new Error('Invalid cursor value');
+  }
+  return value;
+};
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+// Returns the decoded cursor, or null when it is malformed or was issued for another sort
+const decodeCursor = (cursor, sortKey) => {
+  if (!cursor) {
+    return null;
+  }
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (payload.s !== sortKey || !['next', 'prev'].includes(payload.d)) {
+      return null;
+    }
+    if (payload.k) {
+      payload.k = payload.k.map(deserializeValue);
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Always end the sort on _id so every position is unique
+const normalizeSort = (sort) => {
+  if (sort.some(([field]) => field === '_id')) {
+    return sort;
+  }
+  const lastDirection = sort.length > 0 ? sort[sort.length - 1][1] : -1;
+  return [...sort, ['_id', lastDirection]];
+};
+
+// Filter matching the documents strictly after (or before) the given sort keys
+const buildKeysetCondition = (sort, keys, direction) => {
+  const clauses = sort.map(([field, order], index) => {
+    const clause = {};
+    for (let i = 0; i < index; i++) {
+      clause[sort[i][0]] = keys[i];
+    }
+    const ascending = (order === 1) === (direction === 'next');
+    clause[field] = { [ascending ? '$gt' : '$lt']: keys[index] };
+    return clause;
+  });
+  return { $or: clauses };
+};
+
+const getSortKeys = (doc, sort) => sort.map(([field]) => serializeValue(
+  typeof doc.get === 'function' ? doc.get(field) : doc[field]
+));
+
+// Cursor (keyset) pagination over a query. Unlike skip/limit, pages stay stable
+// when documents are inserted or removed while a client is paging.
+//
+// sort is a list of [field, 1 | -1] pairs; sortKey names the sort so cursors
+// cannot be replayed against a different order.
+const paginateQuery = async (Model, {
+  filter = {},
+  sort,
+  sortKey,
+  limit = DEFAULT_LIMIT,
+  cursor,
+  collation,
+  prepare = (query) => query
+}) => {
+  const fullSort = normalizeSort(sort);
+  const decoded = decodeCursor(cursor, sortKey);
+  if (cursor && (!decoded || !decoded.k || decoded.k.length !== fullSort.length)) {
+    const error = new Error('Invalid cursor');
+    error.name = 'InvalidCursorError';
+    throw error;
+  }
+
+  const direction = decoded ? decoded.d : 'next';
+  const conditions = [filter];
+  if (decoded) {
+    conditions.push(buildKeysetCondition(fullSort, decoded.k, direction));
+  }
+
+  // Walking backwards means querying in reverse order and flipping the result
+  const querySort = {};
+  fullSort.forEach(([field, order]) => {
+    querySort[field] = direction === 'next' ? order : -order;
+  });
+
+  let query = Model.find(conditions.length > 1 ? { $and: conditions } : filter)
+    .sort(querySort)
+    .limit(limit + 1);
+  if (collation) {
+    query = query.collation(collation);
+  }
+
+  const results = await prepare(query);
+  const hasMore = results.length > limit;
+  const items = results.slice(0, limit);
+  if (direction === 'prev') {
+    items.reverse();
+  }
+
+  const hasNext = direction === 'next' ? hasMore : true;
+  const hasPrev = direction === 'next' ? Boolean(decoded) : hasMore;
+
+  return {
+    items,
+    pagination: {
+      limit,
+      hasNext: hasNext && items.length > 0,
+      hasPrev: hasPrev && items.length > 0,
+      nextCursor: hasNext && items.length > 0
+        ? encodeCursor({ s: sortKey, d: 'next', k: getSortKeys(items[items.length - 1], fullSort) })
+        : null,
+      prevCursor: hasPrev && items.length > 0
+        ? encodeCursor({ s: sortKey, d: 'prev', k: getSortKeys(items[0], fullSort) })
+        : null
+    }
+  };
+};
+
+// Cursor pagination over an already ranked list (e.g. search results), where
+// positions come from the ranking rather than from document fields
+const paginateRanked = (entries, { limit = DEFAULT_LIMIT, cursor, sortKey = 'relevance' }) => {
+  const decoded = decodeCursor(cursor, sortKey);
+  if (cursor && (!decoded || !Number.isInteger(decoded.o) || decoded.o < 0)) {
+    const error = new Error('Invalid cursor');
+    error.name = 'InvalidCursorError';
+    throw error;
+  }
+
+  const offset = decoded ? decoded.o : 0;
+  const page = entries.slice(offset, offset + limit);
+  const hasNext = offset + limit < entries.length;
+  const hasPrev = offset > 0;
+
+  return {
+    entries: page,
+    pagination: {
+      limit,
+      hasNext,
+      hasPrev,
+      nextCursor: hasNext ? encodeCursor({ s: sortKey, d: 'next', o: offset + limit }) : null,
+      prevCursor: hasPrev ? encodeCursor({ s: sortKey, d: 'prev', o: Math.max(0, offset - limit) }) : null
+    }
+  };
+};
+
+const isInvalidCursorError = (error) => error && error.name === 'InvalidCursorError';
+
+module.exports = {
+  paginationSchema,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePagination,
+  paginateQuery,
+  paginateRanked,
+  isInvalidCursorError
+};
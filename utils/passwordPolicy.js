@@ -0,0 +1,50 @@
+const Joi = require('joi');
+
+const parseBoolean = (value, fallback) => {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  return ['true', '1', 'yes'].includes(String(value).toLowerCase());
+};
+
+// Password policy, configurable through environment variables.
+// bcrypt only looks at the first 72 bytes of a password, so the maximum is capped there.
+const getPasswordPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+  maxLength: Math.min(parseInt(process.env.PASSWORD_MAX_LENGTH, 10) || 72, 72),
+  requireUppercase: parseBoolean(process.env.PASSWORD_REQUIRE_UPPERCASE, false),
+  requireLowercase: parseBoolean(process.env.PASSWORD_REQUIRE_LOWERCASE, false),
+  requireNumber: parseBoolean(process.env.PASSWORD_REQUIRE_NUMBER, false),
+  requireSymbol: parseBoolean(process.env.PASSWORD_REQUIRE_SYMBOL, false)
+});
+
+// Build the Joi rule used wherever a new password is chosen (signup, reset, change)
+const passwordSchema = (policy = getPasswordPolicy()) => {
+  let schema = Joi.string()
+    .min(policy.minLength)
+    .max(policy.maxLength)
+    .required();
+
+  if (policy.requireUppercase) {
+    schema = schema.pattern(/[A-Z]/, { name: 'uppercase' });
+  }
+  if (policy.requireLowercase) {
+    schema = schema.pattern(/[a-z]/, { name: 'lowercase' });
+  }
+  if (policy.requireNumber) {
+    schema = schema.pattern(/\d/, { name: 'number' });
+  }
+  if (policy.requireSymbol) {
+    schema = schema.pattern(/[^A-Za-z0-9]/, { name: 'symbol' });
+  }
+
+  return schema.messages({
+    'string.min': `Password must be at least ${policy.minLength} characters long`,
+    'string.max': `Password cannot be more than ${policy.maxLength} characters`,
+    'string.pattern.name': 'Password must contain at least one {#name} character',
+    'string.empty': 'Password is required',
+    'any.required': 'Password is required'
+  });
+};
+
+module.exports = { getPasswordPolicy, passwordSchema };
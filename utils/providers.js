@@ -0,0 +1,34 @@
+// Legal-form words dropped from provider names, so "Google LLC" and "Google" match
+const COMPANY_SUFFIXES = new Set([
+  'inc', 'incorporated', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'gmbh', 'plc', 'pvt', 'sa', 'ag'
+]);
+
+// Normalized key for a provider name. Case, accents, spacing, punctuation and
+// company suffixes are ignored, so "OpenAI", "Open AI" and "openai, Inc." all
+// map to "openai". Returns an empty string when nothing is left.
+const toProviderKey = (name) => {
+  const words = String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+  // Keep at least one word, so a provider called "Co" still has a key
+  while (words.length > 1 && COMPANY_SUFFIXES.has(words[words.length - 1])) {
+    words.pop();
+  }
+
+  return words.join('');
+};
+
+// Aggregation stages grouping models by provider key. Each group is labelled
+// with the most common spelling of the provider's name:
+// { _id: <key>, name, count }
+const groupByProvider = () => [
+  { $group: { _id: { key: '$providerKey', name: '$provider' }, count: { $sum: 1 } } },
+  { $sort: { count: -1, '_id.name': 1 } },
+  { $group: { _id: '$_id.key', name: { $first: '$_id.name' }, count: { $sum: '$count' } } }
+];
+
+module.exports = { toProviderKey, groupByProvider };
@@ -0,0 +1,140 @@
+const Model = require('../models/Model');
+
+const { tokenize, deletionVariants } = require('./searchTokens');
+
+const MAX_QUERY_TERMS = 8;
+const SNIPPET_RADIUS = 60;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Score how well a candidate's stored terms match the query terms
+const scoreTermMatches = (queryTerms, candidate) => {
+  const terms = new Set(candidate.searchTerms || []);
+  const variants = new Set(candidate.searchVariants || []);
+  let score = 0;
+
+  queryTerms.forEach(term => {
+    if (terms.has(term)) {
+      score += 3;
+    } else if ([...terms].some(stored => stored.startsWith(term))) {
+      score += 2;
+    } else if (variants.has(term) || deletionVariants(term).some(variant => variants.has(variant) || terms.has(variant))) {
+      score += 1;
+    }
+  });
+
+  return score;
+};
+
+// Rank models matching a free-text query within baseFilter.
+// Combines MongoDB's weighted text index (whole words, stemming, all text fields)
+// with prefix and typo-tolerant matching on name, provider, model type and tags.
+// Returns [{ id, score }] ordered by descending relevance.
+const rankModels = async (query, baseFilter, { limit = 500 } = {}) => {
+  const queryTerms = [...new Set(tokenize(query))].slice(0, MAX_QUERY_TERMS);
+  if (queryTerms.length === 0) {
+    return [];
+  }
+
+  const termConditions = queryTerms.flatMap(term => [
+    { searchTerms: { $regex: `^${escapeRegex(term)}` } },
+    { searchVariants: { $in: [term, ...deletionVariants(term)] } }
+  ]);
+
+  const [textMatches, termMatches] = await Promise.all([
+    Model.find(
+      { ...baseFilter, $text: { $search: queryTerms.join(' ') } },
+      { score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .select('_id')
+      .lean(),
+    Model.find({ $and: [baseFilter, { $or: termConditions }] })
+      .limit(limit)
+      .select('_id name +searchTerms +searchVariants')
+      .lean()
+  ]);
+
+  const scores = new Map();
+  const normalizedQuery = queryTerms.join(' ');
+
+  textMatches.forEach(match => {
+    scores.set(match._id.toString(), { id: match._id, score: match.score * 2 });
+  });
+
+  termMatches.forEach(match => {
+    const key = match._id.toString();
+    const entry = scores.get(key) || { id: match._id, score: 0 };
+    entry.score += scoreTermMatches(queryTerms, match);
+    if (tokenize(match.name).join(' ').includes(normalizedQuery)) {
+      entry.score += 5;
+    }
+    scores.set(key, entry);
+  });
+
+  return [...scores.values()]
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(entry => ({ id: entry.id, score: Math.round(entry.score * 100) / 100 }));
+};
+
+// Wrap matches of the query terms in <mark> and cut a snippet around the first one
+const highlightText = (text, queryTerms) => {
+  if (!text) {
+    return null;
+  }
+
+  const pattern = new RegExp(`\\b(${queryTerms.map(escapeRegex).join('|')})[a-z0-9]*`, 'gi');
+  const first = pattern.exec(text);
+  if (!first) {
+    return null;
+  }
+
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+  const excerpt = text.slice(start, end);
+
+  let snippet = '';
+  let lastIndex = 0;
+  excerpt.replace(pattern, (match, _term, offset) => {
+    snippet += escapeHtml(excerpt.slice(lastIndex, offset)) + `<mark>${escapeHtml(match)}</mark>`;
+    lastIndex = offset + match.length;
+    return match;
+  });
+  snippet += escapeHtml(excerpt.slice(lastIndex));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+const HIGHLIGHT_FIELDS = ['name', 'shortDescription', 'longDescription', 'provider', 'tags', 'features'];
+
+// Highlighted snippets of the fields of a model that match the query
+const buildHighlights = (model, query) => {
+  const queryTerms = [...new Set(tokenize(query))].slice(0, MAX_QUERY_TERMS);
+  if (queryTerms.length === 0) {
+    return [];
+  }
+
+  const highlights = [];
+  HIGHLIGHT_FIELDS.forEach(field => {
+    const value = model[field];
+    const texts = Array.isArray(value) ? value : [value];
+    texts.forEach(text => {
+      const snippet = highlightText(text, queryTerms);
+      if (snippet) {
+        highlights.push({ field, snippet });
+      }
+    });
+  });
+
+  return highlights;
+};
+
+module.exports = { escapeRegex, rankModels, buildHighlights };
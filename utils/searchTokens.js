@@ -0,0 +1,43 @@
+// Tokens at least this long get typo-tolerant matching
+const FUZZY_MIN_LENGTH = 5;
+
+// Split text into lowercase alphanumeric tokens
+const tokenize = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length >= 2);
+};
+
+// Every variant of a token with one character removed. Two words within one
+// typo of each other share at least one variant (or one is a variant of the other).
+const deletionVariants = (token) => {
+  if (token.length < FUZZY_MIN_LENGTH) {
+    return [];
+  }
+  const variants = new Set();
+  for (let i = 0; i < token.length; i++) {
+    variants.add(token.slice(0, i) + token.slice(i + 1));
+  }
+  return [...variants];
+};
+
+// Derived fields stored on each model for prefix and typo-tolerant matching
+const buildSearchFields = (model) => {
+  const terms = new Set([
+    ...tokenize(model.name),
+    ...tokenize(model.provider),
+    ...tokenize(model.modelType),
+    ...(model.tags || []).flatMap(tag => tokenize(tag))
+  ]);
+
+  const variants = new Set(terms);
+  terms.forEach(term => deletionVariants(term).forEach(variant => variants.add(variant)));
+
+  return {
+    searchTerms: [...terms],
+    searchVariants: [...variants]
+  };
+};
+
+module.exports = { tokenize, deletionVariants, buildSearchFields };
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// JWT Secret - In production, this must be set in environment variables
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
+
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  console.warn('JWT_SECRET is not set - falling back to an insecure default secret');
+}
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Short-lived access token bound to a session, so revoking the session invalidates it
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+};
+
+const verifyAccessToken = (token) => jwt.verify(token, JWT_SECRET);
+
+// Refresh tokens are opaque: "<sessionId>.<random secret>". Only their hash is stored.
+const generateRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!sessionId || !secret) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const getRefreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+module.exports = {
+  JWT_SECRET,
+  ACCESS_TOKEN_EXPIRES_IN,
+  generateAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  parseRefreshToken,
+  hashToken,
+  getRefreshTokenExpiry
+};
@@ -0,0 +1,58 @@
+const Joi = require('joi');
+
+const roleSchema = Joi.object({
+  role: Joi.string().valid('user', 'moderator', 'admin').required().messages({
+    'any.only': 'Role must be one of: user, moderator, admin',
+    'any.required': 'Role is required'
+  })
+});
+
+const rejectionReasonSchema = Joi.object({
+  label: Joi.string().trim().min(2).max(60).required().messages({
+    'string.empty': 'Label is required',
+    'string.min': 'Label must be at least 2 characters long',
+    'string.max': 'Label cannot be more than 60 characters',
+    'any.required': 'Label is required'
+  }),
+  text: Joi.string().trim().min(10).max(500).required().messages({
+    'string.empty': 'Text is required',
+    'string.min': 'Text must be at least 10 characters long',
+    'string.max': 'Text cannot be more than 500 characters',
+    'any.required': 'Text is required'
+  }),
+  active: Joi.boolean().default(true)
+});
+
+const objectId = Joi.string().hex().length(24);
+
+const auditQuerySchema = Joi.object({
+  moderator: objectId.messages({
+    'string.hex': 'Moderator must be a valid user ID',
+    'string.length': 'Moderator must be a valid user ID'
+  }),
+  model: objectId.messages({
+    'string.hex': 'Model must be a valid model ID',
+    'string.length': 'Model must be a valid model ID'
+  }),
+  status: Joi.string().valid('pending', 'approved', 'rejected').messages({
+    'any.only': 'Status must be one of: pending, approved, rejected'
+  }),
+  from: Joi.date().iso().messages({
+    'date.base': 'From must be an ISO 8601 date',
+    'date.format': 'From must be an ISO 8601 date'
+  }),
+  to: Joi.date().iso().when('from', {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref('from'))
+  }).messages({
+    'date.base': 'To must be an ISO 8601 date',
+    'date.format': 'To must be an ISO 8601 date',
+    'date.min': 'To must not be before from'
+  })
+});
+
+module.exports = {
+  roleSchema,
+  rejectionReasonSchema,
+  auditQuerySchema
+};
@@ -0,0 +1,32 @@
+const Joi = require('joi');
+const { API_KEY_SCOPES } = require('../services/apiKeys');
+
+const nameRule = Joi.string().trim().max(100).messages({
+  'string.empty': 'Name is required',
+  'string.max': 'Name cannot be more than 100 characters'
+});
+
+const apiKeySchema = Joi.object({
+  name: nameRule.required().messages({ 'any.required': 'Name is required' }),
+  scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique().required().messages({
+    'array.min': 'Choose at least one scope',
+    'array.unique': 'Each scope can only be listed once',
+    'any.only': `Scopes must be any of: ${API_KEY_SCOPES.join(', ')}`,
+    'any.required': 'Scopes are required'
+  }),
+  expiresInDays: Joi.number().integer().min(1).max(365).messages({
+    'number.base': 'expiresInDays must be a number',
+    'number.integer': 'expiresInDays must be a whole number',
+    'number.min': 'expiresInDays must be at least 1',
+    'number.max': 'expiresInDays cannot be more than 365'
+  })
+});
+
+const renameSchema = Joi.object({
+  name: nameRule.required().messages({ 'any.required': 'Name is required' })
+});
+
+module.exports = {
+  apiKeySchema,
+  renameSchema
+};
@@ -0,0 +1,77 @@
+const Joi = require('joi');
+const { passwordSchema } = require('../utils/passwordPolicy');
+
+const signupSchema = Joi.object({
+  firstName: Joi.string().trim().max(50).required().messages({
+    'string.empty': 'First name is required',
+    'string.max': 'First name cannot be more than 50 characters',
+    'any.required': 'First name is required'
+  }),
+  lastName: Joi.string().trim().max(50).required().messages({
+    'string.empty': 'Last name is required',
+    'string.max': 'Last name cannot be more than 50 characters',
+    'any.required': 'Last name is required'
+  }),
+  email: Joi.string().email().required().messages({
+    'string.email': 'Please enter a valid email address',
+    'string.empty': 'Email is required',
+    'any.required': 'Email is required'
+  }),
+  mobileNumber: Joi.string().pattern(/^[6-9]\d{9}$/).required().messages({
+    'string.pattern.base': 'Please enter a valid 10-digit mobile number starting with 6-9',
+    'string.empty': 'Mobile number is required',
+    'any.required': 'Mobile number is required'
+  }),
+  password: passwordSchema()
+});
+
+const loginSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Please enter a valid email address',
+    'string.empty': 'Email is required',
+    'any.required': 'Email is required'
+  }),
+  password: Joi.string().required().messages({
+    'string.empty': 'Password is required',
+    'any.required': 'Password is required'
+  })
+});
+
+const emailSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Please enter a valid email address',
+    'string.empty': 'Email is required',
+    'any.required': 'Email is required'
+  })
+});
+
+const tokenSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'string.empty': 'Token is required',
+    'any.required': 'Token is required'
+  })
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'string.empty': 'Token is required',
+    'any.required': 'Token is required'
+  }),
+  password: passwordSchema()
+});
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required().messages({
+    'string.empty': 'Refresh token is required',
+    'any.required': 'Refresh token is required'
+  })
+});
+
+module.exports = {
+  signupSchema,
+  loginSchema,
+  emailSchema,
+  tokenSchema,
+  resetPasswordSchema,
+  refreshSchema
+};
@@ -0,0 +1,50 @@
+const Joi = require('joi');
+
+const collectionSchema = Joi.object({
+  name: Joi.string().trim().max(80).required().messages({
+    'string.empty': 'Collection name is required',
+    'string.max': 'Collection name cannot be more than 80 characters',
+    'any.required': 'Collection name is required'
+  }),
+  description: Joi.string().trim().max(500).allow('').messages({
+    'string.max': 'Description cannot be more than 500 characters'
+  }),
+  isPublic: Joi.boolean().default(false)
+});
+
+// Partial update: any of the fields, at least one
+const collectionUpdateSchema = Joi.object({
+  name: Joi.string().trim().max(80).messages({
+    'string.empty': 'Collection name cannot be empty',
+    'string.max': 'Collection name cannot be more than 80 characters'
+  }),
+  description: Joi.string().trim().max(500).allow('').messages({
+    'string.max': 'Description cannot be more than 500 characters'
+  }),
+  isPublic: Joi.boolean()
+}).min(1).messages({
+  'object.min': 'Nothing to update'
+});
+
+const addItemSchema = Joi.object({
+  modelId: Joi.string().required().messages({
+    'string.empty': 'Model ID is required',
+    'any.required': 'Model ID is required'
+  })
+});
+
+const reorderSchema = Joi.object({
+  modelIds: Joi.array().items(Joi.string().hex().length(24)).unique().required().messages({
+    'array.unique': 'Each model can only appear once',
+    'string.hex': 'Model IDs must be valid IDs',
+    'string.length': 'Model IDs must be valid IDs',
+    'any.required': 'Model IDs are required'
+  })
+});
+
+module.exports = {
+  collectionSchema,
+  collectionUpdateSchema,
+  addItemSchema,
+  reorderSchema
+};
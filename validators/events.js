@@ -0,0 +1,15 @@
+const Joi = require('joi');
+const { EVENT_TYPES } = require('../services/eventTracker');
+
+const eventSchema = Joi.object({
+  type: Joi.string().valid(...EVENT_TYPES).required().messages({
+    'any.only': `Event type must be one of: ${EVENT_TYPES.join(', ')}`,
+    'any.required': 'Event type is required'
+  }),
+  // Still accepted from older clients, but no longer part of the de-duplication key
+  fingerprint: Joi.string().trim().max(200).allow('')
+});
+
+module.exports = {
+  eventSchema
+};
@@ -0,0 +1,96 @@
+const Joi = require('joi');
+const { MODEL_ACTIONS } = require('../services/accounts');
+const { passwordSchema } = require('../utils/passwordPolicy');
+
+const MAX_PROFILE_LINKS = 5;
+
+const currentPasswordRule = Joi.string().required().messages({
+  'string.empty': 'Current password is required',
+  'any.required': 'Current password is required'
+});
+
+// Partial update: any of the fields, at least one. The email address has its own endpoint.
+const profileUpdateSchema = Joi.object({
+  firstName: Joi.string().trim().max(50).messages({
+    'string.empty': 'First name cannot be empty',
+    'string.max': 'First name cannot be more than 50 characters'
+  }),
+  lastName: Joi.string().trim().max(50).messages({
+    'string.empty': 'Last name cannot be empty',
+    'string.max': 'Last name cannot be more than 50 characters'
+  }),
+  mobileNumber: Joi.string().pattern(/^[6-9]\d{9}$/).messages({
+    'string.pattern.base': 'Please enter a valid 10-digit mobile number starting with 6-9',
+    'string.empty': 'Mobile number cannot be empty'
+  }),
+  email: Joi.any().forbidden().messages({
+    'any.unknown': 'Use POST /api/me/email to change your email address'
+  }),
+  // Public profile fields; the avatar has its own endpoint
+  profile: Joi.object({
+    displayName: Joi.string().trim().max(50).allow('').messages({
+      'string.max': 'Display name cannot be more than 50 characters'
+    }),
+    bio: Joi.string().trim().max(500).allow('').messages({
+      'string.max': 'Bio cannot be more than 500 characters'
+    }),
+    links: Joi.array().max(MAX_PROFILE_LINKS).items(Joi.object({
+      label: Joi.string().trim().max(40).required().messages({
+        'string.empty': 'Link label is required',
+        'string.max': 'Link label cannot be more than 40 characters',
+        'any.required': 'Link label is required'
+      }),
+      url: Joi.string().trim().max(500).uri({ scheme: ['http', 'https'] }).required().messages({
+        'string.uri': 'Please enter a valid URL starting with http:// or https://',
+        'string.uriCustomScheme': 'Please enter a valid URL starting with http:// or https://',
+        'string.empty': 'Link URL is required',
+        'string.max': 'Link URL cannot be more than 500 characters',
+        'any.required': 'Link URL is required'
+      })
+    })).messages({
+      'array.max': `A profile cannot have more than ${MAX_PROFILE_LINKS} links`
+    }),
+    isPublic: Joi.boolean()
+  }).min(1).messages({
+    'object.min': 'Nothing to update in profile'
+  })
+}).min(1).messages({
+  'object.min': 'Nothing to update'
+});
+
+const changePasswordSchema = Joi.object({
+  currentPassword: currentPasswordRule,
+  newPassword: passwordSchema()
+});
+
+const changeEmailSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Please enter a valid email address',
+    'string.empty': 'Email is required',
+    'any.required': 'Email is required'
+  }),
+  password: currentPasswordRule
+});
+
+const deleteAccountSchema = Joi.object({
+  password: currentPasswordRule,
+  models: Joi.string().valid(...MODEL_ACTIONS).messages({
+    'any.only': `Models must be one of: ${MODEL_ACTIONS.join(', ')}`
+  }),
+  transferTo: Joi.when('models', {
+    is: 'transfer',
+    then: Joi.string().email().required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'string.email': 'Please enter the email address of the user receiving your models',
+    'any.required': 'The email address of the user receiving your models is required',
+    'any.unknown': 'transferTo is only used when models is "transfer"'
+  })
+});
+
+module.exports = {
+  profileUpdateSchema,
+  changePasswordSchema,
+  changeEmailSchema,
+  deleteAccountSchema
+};
@@ -0,0 +1,79 @@
+const Joi = require('joi');
+
+const MAX_SCREENSHOTS = parseInt(process.env.MAX_SCREENSHOTS, 10) || 8;
+
+// Validation schema for model upload
+const modelSchema = Joi.object({
+  name: Joi.string().trim().max(100).required().messages({
+    'string.empty': 'Model name is required',
+    'string.max': 'Model name cannot be more than 100 characters',
+    'any.required': 'Model name is required'
+  }),
+  shortDescription: Joi.string().trim().max(200).required().messages({
+    'string.empty': 'Short description is required',
+    'string.max': 'Short description cannot be more than 200 characters',
+    'any.required': 'Short description is required'
+  }),
+  longDescription: Joi.string().trim().max(2000).allow('').messages({
+    'string.max': 'Long description cannot be more than 2000 characters'
+  }),
+  category: Joi.string().valid(
+    'chatbots', 'image', 'code', 'productivity', 'voice', 
+    'writing', 'research', 'agents', 'video', 'audio', 
+    'data-analysis', 'language', 'design', 'automation', 
+    'healthcare', 'education', 'marketing', 'finance'
+  ).required().messages({
+    'any.only': 'Please select a valid category',
+    'any.required': 'Category is required'
+  }),
+  tags: Joi.array().items(
+    Joi.string().trim().max(30).messages({
+      'string.max': 'Each tag cannot be more than 30 characters'
+    })
+  ).default([]),
+  provider: Joi.string().trim().max(50).required().messages({
+    'string.empty': 'Provider is required',
+    'string.max': 'Provider name cannot be more than 50 characters',
+    'any.required': 'Provider is required'
+  }),
+  pricing: Joi.string().valid('free', 'freemium', 'paid').default('freemium'),
+  capabilities: Joi.array().items(
+    Joi.string().valid('text', 'image', 'audio', 'video', 'code', 'agent')
+  ).default([]),
+  isApiAvailable: Joi.boolean().default(false),
+  isOpenSource: Joi.boolean().default(false),
+  modelType: Joi.string().trim().max(50).allow('').messages({
+    'string.max': 'Model type cannot be more than 50 characters'
+  }),
+  externalUrl: Joi.string().uri().allow('').messages({
+    'string.uri': 'Please enter a valid URL'
+  }),
+  bestFor: Joi.array().items(
+    Joi.string().trim().max(50).messages({
+      'string.max': 'Each "best for" item cannot be more than 50 characters'
+    })
+  ).default([]),
+  features: Joi.array().items(
+    Joi.string().trim().max(100).messages({
+      'string.max': 'Each feature cannot be more than 100 characters'
+    })
+  ).default([]),
+  examplePrompts: Joi.array().items(
+    Joi.string().trim().max(200).messages({
+      'string.max': 'Each example prompt cannot be more than 200 characters'
+    })
+  ).default([])
+});
+
+// Fields an uploader sets in the request body; everything else on a model is managed by the system
+const EDITABLE_MODEL_FIELDS = Object.keys(modelSchema.describe().keys);
+
+// Image fields are only set by the upload endpoints (routes/modelImages.js), which
+// store files under the model's own prefix. Accepting them in the body would let
+// an owner point a model at someone else's file and have it deleted on cleanup.
+const MODEL_IMAGE_FIELDS = ['iconUrl', 'iconThumbnailUrl', 'screenshots'];
+
+// Fields that make up a version of a model, as recorded in revisions
+const VERSIONED_MODEL_FIELDS = [...EDITABLE_MODEL_FIELDS, ...MODEL_IMAGE_FIELDS];
+
+module.exports = { modelSchema, EDITABLE_MODEL_FIELDS, MODEL_IMAGE_FIELDS, VERSIONED_MODEL_FIELDS, MAX_SCREENSHOTS };
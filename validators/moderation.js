@@ -0,0 +1,62 @@
+const Joi = require('joi');
+
+const BULK_MAX_ITEMS = 100;
+const CLAIM_MAX_COUNT = 20;
+
+const objectId = Joi.string().hex().length(24).messages({
+  'string.hex': '{{#label}} must be a valid ID',
+  'string.length': '{{#label}} must be a valid ID'
+});
+
+const reasonFields = {
+  rejectionReason: Joi.string().trim().max(500),
+  rejectionReasonId: objectId,
+  note: Joi.string().trim().max(500)
+};
+
+const bulkStatusSchema = Joi.object({
+  status: Joi.string().valid('approved', 'rejected').required().messages({
+    'any.only': 'Status must be: approved or rejected',
+    'any.required': 'Status is required'
+  }),
+  items: Joi.array().items(
+    Joi.alternatives().try(
+      objectId,
+      Joi.object({ id: objectId.required(), ...reasonFields })
+    )
+  ).min(1).max(BULK_MAX_ITEMS).required().messages({
+    'array.min': 'At least one item is required',
+    'array.max': `Cannot update more than ${BULK_MAX_ITEMS} models at once`,
+    'any.required': 'Items are required'
+  }),
+  ...reasonFields
+});
+
+const revisionStatusSchema = Joi.object({
+  status: Joi.string().valid('approved', 'rejected').required().messages({
+    'any.only': 'Invalid status. Must be: approved or rejected',
+    'any.required': 'Status is required'
+  }),
+  rejectionReason: Joi.string().trim().max(500).when('status', {
+    is: 'rejected',
+    then: Joi.required()
+  }).messages({
+    'string.empty': 'Rejection reason is required when rejecting a revision',
+    'string.max': 'Rejection reason cannot be more than 500 characters',
+    'any.required': 'Rejection reason is required when rejecting a revision'
+  })
+});
+
+const claimNextSchema = Joi.object({
+  count: Joi.number().integer().min(1).max(CLAIM_MAX_COUNT).default(5).messages({
+    'number.base': 'Count must be a number',
+    'number.min': 'Count must be at least 1',
+    'number.max': `Count cannot be more than ${CLAIM_MAX_COUNT}`
+  })
+});
+
+module.exports = {
+  bulkStatusSchema,
+  revisionStatusSchema,
+  claimNextSchema
+};
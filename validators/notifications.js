@@ -0,0 +1,12 @@
+const Joi = require('joi');
+const { NOTIFICATION_TYPES } = require('../services/notifications');
+
+const preferencesSchema = Joi.object(
+  Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, Joi.boolean()]))
+).min(1).messages({
+  'object.min': 'At least one notification type is required'
+});
+
+module.exports = {
+  preferencesSchema
+};
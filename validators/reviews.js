@@ -0,0 +1,30 @@
+const Joi = require('joi');
+
+const reviewSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required().messages({
+    'number.base': 'Rating must be a number between 1 and 5',
+    'number.integer': 'Rating must be a whole number',
+    'number.min': 'Rating must be at least 1',
+    'number.max': 'Rating cannot be more than 5',
+    'any.required': 'Rating is required'
+  }),
+  title: Joi.string().trim().max(100).allow('').messages({
+    'string.max': 'Review title cannot be more than 100 characters'
+  }),
+  text: Joi.string().trim().max(2000).allow('').messages({
+    'string.max': 'Review text cannot be more than 2000 characters'
+  })
+});
+
+const replySchema = Joi.object({
+  text: Joi.string().trim().max(1000).required().messages({
+    'string.empty': 'Reply text is required',
+    'string.max': 'Reply cannot be more than 1000 characters',
+    'any.required': 'Reply text is required'
+  })
+});
+
+module.exports = {
+  reviewSchema,
+  replySchema
+};
@@ -0,0 +1,41 @@
+const Joi = require('joi');
+const { WEBHOOK_EVENTS } = require('../services/webhooks');
+
+const urlRule = Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2000).messages({
+  'string.empty': 'Webhook URL is required',
+  'string.uri': 'Webhook URL must be a valid http or https URL',
+  'string.uriCustomScheme': 'Webhook URL must be a valid http or https URL',
+  'string.max': 'Webhook URL cannot be more than 2000 characters'
+});
+
+const eventsRule = Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique().messages({
+  'array.min': 'Subscribe to at least one event',
+  'array.unique': 'Each event can only be listed once',
+  'any.only': `Events must be one of: ${WEBHOOK_EVENTS.join(', ')}`
+});
+
+const descriptionRule = Joi.string().trim().max(200).allow('').messages({
+  'string.max': 'Description cannot be more than 200 characters'
+});
+
+const webhookSchema = Joi.object({
+  url: urlRule.required().messages({ 'any.required': 'Webhook URL is required' }),
+  events: eventsRule.required().messages({ 'any.required': 'Events are required' }),
+  description: descriptionRule,
+  active: Joi.boolean().default(true)
+});
+
+// Partial update: any of the fields, at least one
+const webhookUpdateSchema = Joi.object({
+  url: urlRule,
+  events: eventsRule,
+  description: descriptionRule,
+  active: Joi.boolean()
+}).min(1).messages({
+  'object.min': 'Nothing to update'
+});
+
+module.exports = {
+  webhookSchema,
+  webhookUpdateSchema
+};